@@ -0,0 +1,215 @@
+/**
+ * Backup Module
+ * Saves an art repo's history as a git bundle before a reset throws it away, and pushes it back
+ *
+ * Bundles are single files holding every branch and tag, named
+ * `<timestamp>-<project>-<local|remote>.bundle`, so `ls backups/` sorts them by age.
+ */
+
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DEFAULT_BACKUP_DIR = path.join(__dirname, '..', 'backups');
+
+function git(args, cwd = os.tmpdir(), env = {}) {
+    try {
+        return execFileSync('git', args, { cwd, stdio: 'pipe', encoding: 'utf-8', env: { ...process.env, ...env } }).trim();
+    } catch (err) {
+        // git's own explanation is more useful than "Command failed"
+        throw new Error(`git ${args[0]} failed: ${(err.stderr || '').trim() || err.message}`);
+    }
+}
+
+/**
+ * Run a task in a temporary directory that is removed afterwards
+ */
+function withTempDir(prefix, task) {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+    try {
+        return task(tempDir);
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+}
+
+function bundlePathFor(label, backupDir) {
+    fs.mkdirSync(backupDir, { recursive: true });
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    return path.join(backupDir, `${stamp}-${label}.bundle`);
+}
+
+/**
+ * Bundle every ref of a repo
+ * @returns {string|null} Bundle path, or null when the repo has no commits
+ */
+function bundleRefs(repoPath, bundlePath) {
+    if (!git(['for-each-ref', '--count=1', 'refs/heads', 'refs/tags'], repoPath)) return null;
+    git(['bundle', 'create', bundlePath, '--all'], repoPath);
+    return bundlePath;
+}
+
+/**
+ * Back up a local repo
+ * @param {string} repoPath - Path to the local repo
+ * @param {string} project - Project name, part of the file name
+ * @param {string} backupDir - Directory to store bundles
+ * @returns {string|null} Bundle path, or null when there is nothing to back up
+ */
+function backupLocal(repoPath, project, backupDir = DEFAULT_BACKUP_DIR) {
+    if (!fs.existsSync(repoPath)) return null;
+    return bundleRefs(repoPath, bundlePathFor(`${project}-local`, backupDir));
+}
+
+/**
+ * Back up a remote repo, and note where its default branch is
+ * @param {string} repoUrl - Remote URL (or path)
+ * @param {string} project - Project name, part of the file name
+ * @param {string} backupDir - Directory to store bundles
+ * @returns {{ bundlePath: string|null, branch: string, head: string }}
+ *   The branch GitHub shows and its commit ('' for an empty remote), for a lease on the reset
+ */
+function backupRemote(repoUrl, project, backupDir = DEFAULT_BACKUP_DIR) {
+    return withTempDir('graph-art-backup-', (mirror) => {
+        git(['clone', '-q', '--mirror', repoUrl, mirror]);
+
+        let branch = 'main';
+        let head = '';
+        try {
+            branch = git(['symbolic-ref', '--short', 'HEAD'], mirror);
+            head = git(['rev-parse', '--verify', '-q', `refs/heads/${branch}`], mirror);
+        } catch {
+            // Empty remote: nothing to lease against
+        }
+
+        return { bundlePath: bundleRefs(mirror, bundlePathFor(`${project}-remote`, backupDir)), branch, head };
+    });
+}
+
+/**
+ * Replace a remote branch with a single clean commit
+ * --force-with-lease refuses if the branch moved since `head` was read, i.e. since the backup.
+ * @param {string} repoUrl - Remote URL (or path)
+ * @param {{ branch: string, head: string }} state - Result of backupRemote
+ * @param {{name: string, email: string}|null} author - Author of the clean commit (default: git's)
+ */
+function pushCleanSlate(repoUrl, { branch, head }, author = null) {
+    withTempDir('graph-art-reset-', (tempDir) => {
+        git(['init', '-q'], tempDir);
+        git(['checkout', '-q', '-b', branch], tempDir);
+        fs.writeFileSync(path.join(tempDir, '.contribution'), '# Contribution Graph Art\n');
+        git(['add', '.contribution'], tempDir);
+        const env = author ? {
+            GIT_AUTHOR_NAME: author.name,
+            GIT_AUTHOR_EMAIL: author.email,
+            GIT_COMMITTER_NAME: author.name,
+            GIT_COMMITTER_EMAIL: author.email,
+        } : {};
+        git(['commit', '-q', '-m', 'init: clean slate'], tempDir, env);
+        git(['push', '-q', `--force-with-lease=refs/heads/${branch}:${head}`, repoUrl, `HEAD:refs/heads/${branch}`], tempDir);
+    });
+}
+
+/**
+ * Check that a file is a complete bundle
+ * @throws {Error} When git cannot read it
+ */
+function verifyBundle(bundlePath) {
+    try {
+        // git only verifies bundles inside a repository
+        withTempDir('graph-art-verify-', (tempDir) => {
+            git(['init', '-q', '--bare'], tempDir);
+            git(['bundle', 'verify', '-q', path.resolve(bundlePath)], tempDir);
+        });
+    } catch (err) {
+        throw new Error(`${bundlePath} is not a usable backup (${err.message})`);
+    }
+}
+
+/**
+ * Recreate a local repo from a bundle
+ * @param {string} bundlePath - Bundle to restore
+ * @param {string} repoPath - Where to put the repo (must not exist)
+ * @param {string} repoUrl - Remote to set as origin ('' for none)
+ */
+function restoreLocal(bundlePath, repoPath, repoUrl = '') {
+    git(['clone', '-q', path.resolve(bundlePath), path.resolve(repoPath)]);
+    if (repoUrl) {
+        git(['remote', 'set-url', 'origin', repoUrl], repoPath);
+    } else {
+        git(['remote', 'remove', 'origin'], repoPath);
+    }
+}
+
+/**
+ * Read the commit a bundle's HEAD points to (its first branch when it has no HEAD)
+ * @param {string} bundlePath - Bundle to read
+ * @returns {string|null} Commit hash, or null when the bundle has no branches
+ */
+function readBundleHead(bundlePath) {
+    const heads = git(['bundle', 'list-heads', path.resolve(bundlePath)]).split('\n').filter(Boolean).map(line => line.split(' '));
+    const head = heads.find(([, ref]) => ref === 'HEAD') || heads.find(([, ref]) => ref.startsWith('refs/heads/'));
+    return head ? head[0] : null;
+}
+
+/**
+ * Read where a remote's branches and tags are, for a lease on a later push
+ * @param {string} repoUrl - Remote URL (or path)
+ * @returns {Object<string, string>} Commit of each ref { 'refs/heads/main': sha }
+ */
+function readRemoteRefs(repoUrl) {
+    const refs = {};
+    for (const line of git(['ls-remote', '--heads', '--tags', repoUrl]).split('\n').filter(Boolean)) {
+        const [sha, ref] = line.split('\t');
+        if (!ref.endsWith('^{}')) refs[ref] = sha;
+    }
+    return refs;
+}
+
+/**
+ * Force-push every branch and tag of a bundle to a remote
+ * Each ref is leased: the push is refused if the remote moved it since `expected` was read.
+ * @param {string} bundlePath - Bundle to restore
+ * @param {string} repoUrl - Remote URL (or path)
+ * @param {Object<string, string>} expected - Result of readRemoteRefs; a ref missing here must not exist
+ */
+function pushBundle(bundlePath, repoUrl, expected) {
+    withTempDir('graph-art-restore-', (tempDir) => {
+        git(['init', '-q', '--bare'], tempDir);
+        git(['fetch', '-q', path.resolve(bundlePath), 'refs/heads/*:refs/heads/*', 'refs/tags/*:refs/tags/*'], tempDir);
+        const refs = git(['for-each-ref', '--format=%(refname)', 'refs/heads', 'refs/tags'], tempDir).split('\n').filter(Boolean);
+        const leases = refs.map(ref => `--force-with-lease=${ref}:${expected[ref] || ''}`);
+        git(['push', '-q', ...leases, repoUrl, 'refs/heads/*:refs/heads/*', 'refs/tags/*:refs/tags/*'], tempDir);
+    });
+}
+
+/**
+ * Find a project's newest backup, preferring one of the remote (it is what GitHub showed)
+ * @param {string} project - Project name
+ * @param {string} backupDir - Directory to store bundles
+ * @returns {string|null} Bundle path
+ */
+function findLatestBackup(project, backupDir = DEFAULT_BACKUP_DIR) {
+    if (!fs.existsSync(backupDir)) return null;
+
+    const bundles = fs.readdirSync(backupDir).sort();
+    // Anchored on the timestamp, so 'art' does not pick up the backups of 'my-art'
+    const escaped = project.replace(/\./g, '\\.');
+    const latest = (source) => bundles.filter(file => new RegExp(`^[\\dTZ-]+Z-${escaped}-${source}\\.bundle$`).test(file)).pop();
+    const file = latest('remote') || latest('local');
+    return file ? path.join(backupDir, file) : null;
+}
+
+module.exports = {
+    DEFAULT_BACKUP_DIR,
+    backupLocal,
+    backupRemote,
+    pushCleanSlate,
+    verifyBundle,
+    restoreLocal,
+    readBundleHead,
+    readRemoteRefs,
+    pushBundle,
+    findLatestBackup,
+};
@@ -3,16 +3,46 @@
  * Handles the actual git commit operations with backdated dates
  */
 
-const { execSync } = require('child_process');
+const { execSync, execFileSync, spawn } = require('child_process');
+const { once } = require('events');
 const fs = require('fs');
 const path = require('path');
+const { DEFAULT_HOUR_WINDOW, getLocalTimezone, toIsoDate, toRawGitDate, localDate } = require('./timezone');
+const { createRandom } = require('./random');
+const { sampleTime } = require('./profiles');
+const {
+    DEFAULT_MESSAGE_TEMPLATE,
+    DEFAULT_PLAIN_MESSAGE_TEMPLATE,
+    DEFAULT_CONTENT_TEMPLATE,
+    DEFAULT_TARGET_FILES,
+    renderTemplate,
+} = require('./templates');
+
+// Stands in for config.seed in choices shared by the commits of a date, so unseeded runs stay consistent
+const RUN_SEED = Math.floor(Math.random() * 2 ** 32);
+
+/**
+ * Environment variables that make git author and commit as the given identity
+ */
+function identityEnv(author) {
+    return {
+        GIT_AUTHOR_NAME: author.name,
+        GIT_AUTHOR_EMAIL: author.email,
+        GIT_COMMITTER_NAME: author.name,
+        GIT_COMMITTER_EMAIL: author.email,
+    };
+}
 
 /**
  * Initialize or validate the contribution repo
  * @param {string} repoPath - Path to the local repo
  * @param {string} repoUrl - Remote URL (optional, for cloning)
+ * @param {Object} options
+ * @param {{name: string, email: string}|null} options.author - Author of the initial commit
+ * @param {string|null} options.initTimestamp - Date of the initial commit (default: now);
+ *   fixed for seeded runs so the whole history is reproducible
  */
-function initRepo(repoPath, repoUrl) {
+function initRepo(repoPath, repoUrl, { author = null, initTimestamp = null } = {}) {
     if (!fs.existsSync(repoPath)) {
         if (repoUrl) {
             console.log(`📥 Cloning repo from ${repoUrl}...`);
@@ -29,10 +59,134 @@ function initRepo(repoPath, repoUrl) {
     if (!fs.existsSync(artFile)) {
         fs.writeFileSync(artFile, '# Contribution Graph Art\n');
         execSync('git add .contribution', { cwd: repoPath, stdio: 'pipe' });
-        execSync('git commit -m "init: contribution art repo"', { cwd: repoPath, stdio: 'pipe' });
+        execSync('git commit -m "init: contribution art repo"', {
+            cwd: repoPath,
+            stdio: 'pipe',
+            env: {
+                ...process.env,
+                ...(author ? identityEnv(author) : {}),
+                ...(initTimestamp ? { GIT_AUTHOR_DATE: initTimestamp, GIT_COMMITTER_DATE: initTimestamp } : {}),
+            },
+        });
     }
 }
 
+/**
+ * Read the identity git would commit with in a repo (its local config, else the global one)
+ * @param {string} repoPath - Path to the local repo (the global config is used if it does not exist yet)
+ * @returns {{ name: string, email: string }} Empty strings when unset
+ */
+function getRepoIdentity(repoPath) {
+    const read = (key) => {
+        try {
+            return execFileSync('git', ['config', key], {
+                cwd: fs.existsSync(repoPath) ? repoPath : undefined,
+                encoding: 'utf-8',
+                stdio: 'pipe',
+            }).trim();
+        } catch {
+            return '';
+        }
+    };
+    return { name: read('user.name'), email: read('user.email') };
+}
+
+/**
+ * Pre-flight check that commits will be attributed to the right account
+ * GitHub only counts a commit when its author email belongs to the profile.
+ * @param {string} repoPath - Path to the local repo
+ * @param {{name: string, email: string}|null} author - Configured author, if any
+ * @returns {{ name: string, email: string }} The identity that will be used
+ * @throws {Error} When the repo has no identity, or a different one than configured
+ */
+function checkIdentity(repoPath, author = null) {
+    const identity = getRepoIdentity(repoPath);
+    const fix = (key, value) => `git -C "${repoPath}" config ${key} "${value}"`;
+
+    if (!identity.name || !identity.email) {
+        const hint = author ? ` Run: ${fix('user.name', author.name)} && ${fix('user.email', author.email)}` : ' Set user.name and user.email in git config.';
+        throw new Error(`No git identity for ${repoPath}.${hint}`);
+    }
+    if (author && identity.email.toLowerCase() !== author.email.toLowerCase()) {
+        throw new Error(`The repo commits as ${identity.email} but config.json says ${author.email}. Run: ${fix('user.email', author.email)}`);
+    }
+    if (author && author.name && identity.name !== author.name) {
+        throw new Error(`The repo commits as "${identity.name}" but config.json says "${author.name}". Run: ${fix('user.name', author.name)}`);
+    }
+
+    return author ? { name: author.name || identity.name, email: author.email } : identity;
+}
+
+/**
+ * Describe one art commit: its timestamp, message, target file and the line it appends there
+ * Commits of a day are spread over the hour window by their index and the time profile; times
+ * are random within that (reproducible with options.seed) and always fall on the given date.
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @param {number} globalIndex - Index of the commit within the day
+ * @param {number} totalCount - Total target commits for the day
+ * @param {string} charLabel - Character being drawn
+ * @param {Object} options - Commit options (see getCommitOptions in index.js)
+ * @param {string} options.timezone - IANA timezone the dates are meant in (default: the machine's)
+ * @param {number[]} options.hourWindow - [start, end) hours the commits are spread over
+ * @param {string|Object} options.timeProfile - Distribution of the times inside the window (see profiles.js)
+ * @param {{name: string, email: string}|null} options.author - Author and committer of every commit
+ *   (default: the repo's git config)
+ * @param {string} options.messageTemplate - Commit message template (see templates.js)
+ * @param {string|number} options.seed - Makes every random choice reproducible (default: unseeded)
+ * @param {string[]} options.messages - Message corpus; when set, each commit picks one at random
+ * @param {string} options.contentTemplate - Template of the line appended to the target file
+ * @param {string[]} options.targetFiles - Files the commits rotate across (default ['.contribution'])
+ * @param {number} options.row - Row of the pixel being drawn, for templates
+ * @param {number} options.col - Column of the pixel being drawn, for templates
+ * @returns {{ dateTime: string, timestamp: string, rawDate: string, message: string, file: string, content: string }}
+ *   dateTime = wall-clock time, timestamp = ISO 8601 with offset, rawDate = git's raw format
+ */
+function describeCommit(date, globalIndex, totalCount, charLabel = '', options = {}) {
+    const {
+        timezone = getLocalTimezone(),
+        hourWindow = DEFAULT_HOUR_WINDOW,
+        timeProfile = 'even',
+        messageTemplate = charLabel ? DEFAULT_MESSAGE_TEMPLATE : DEFAULT_PLAIN_MESSAGE_TEMPLATE,
+        messages = [],
+        contentTemplate = DEFAULT_CONTENT_TEMPLATE,
+        targetFiles = DEFAULT_TARGET_FILES,
+        row = -1,
+        col = -1,
+    } = options;
+    const random = createRandom(options.seed, date, globalIndex);
+    let time;
+    if (timeProfile === 'even') {
+        const [startHour, endHour] = hourWindow;
+        const maxHrDivisor = Math.max(1, totalCount);
+        const hour = String(startHour + Math.floor((globalIndex / maxHrDivisor) * (endHour - startHour))).padStart(2, '0');
+        const minute = String(Math.floor(random() * 60)).padStart(2, '0');
+        const second = String(Math.floor(random() * 60)).padStart(2, '0');
+        time = `${hour}:${minute}:${second}`;
+    } else {
+        // Every commit of a date must see the same sessions, even when unseeded
+        const dayRandom = createRandom(options.seed ?? RUN_SEED, date, 'day');
+        time = sampleTime(timeProfile, date, globalIndex, totalCount, hourWindow, random, dayRandom);
+    }
+    // A time skipped by a DST change at midnight would land on the neighbouring date
+    for (let hour = Number(time.slice(0, 2)); localDate(`${date}T${time}`, timezone) !== date && hour < 23;) {
+        hour++;
+        time = `${String(hour).padStart(2, '0')}${time.slice(2)}`;
+    }
+    const dateTime = `${date}T${time}`;
+
+    const values = { date, time, datetime: dateTime, char: charLabel, index: globalIndex + 1, total: totalCount, row, col };
+    const template = messages.length > 0 ? messages[Math.floor(random() * messages.length)] : messageTemplate;
+
+    return {
+        dateTime,
+        timestamp: toIsoDate(dateTime, timezone),
+        rawDate: toRawGitDate(dateTime, timezone),
+        message: renderTemplate(template, values),
+        file: targetFiles[globalIndex % targetFiles.length],
+        content: `${renderTemplate(contentTemplate, values)}\n`,
+    };
+}
+
 /**
  * Make N commits for a specific date
  * @param {string} repoPath - Path to the local repo
@@ -42,24 +196,17 @@ function initRepo(repoPath, repoUrl) {
  * @param {number} startIndex - Starting index for this batch
  * @param {string} charLabel - Character being drawn (for commit message)
  * @param {boolean} dryRun - If true, don't actually commit
+ * @param {Object} options - Commit options (see describeCommit)
+ * @param {Function} options.onCommit - Called after each commit with the number made so far
  * @returns {number} Number of commits made
  */
-function makeCommits(repoPath, date, countToMake, totalCount = countToMake, startIndex = 0, charLabel = '', dryRun = false) {
-    const artFile = path.join(repoPath, '.contribution');
+function makeCommits(repoPath, date, countToMake, totalCount = countToMake, startIndex = 0, charLabel = '', dryRun = false, options = {}) {
     let committed = 0;
 
     for (let i = 0; i < countToMake; i++) {
         const globalIndex = startIndex + i;
         // Create a unique timestamp for each commit on the same day
-        const maxHrDivisor = Math.max(1, totalCount);
-        const hour = String(Math.floor((globalIndex / maxHrDivisor) * 23)).padStart(2, '0');
-        const minute = String(Math.floor(Math.random() * 60)).padStart(2, '0');
-        const second = String(Math.floor(Math.random() * 60)).padStart(2, '0');
-        const dateTime = `${date}T${hour}:${minute}:${second}`;
-
-        const message = charLabel
-            ? `art: pixel for '${charLabel}' [${globalIndex + 1}/${totalCount}]`
-            : `art: contribution ${globalIndex + 1}/${totalCount}`;
+        const { timestamp, message, file, content } = describeCommit(date, globalIndex, totalCount, charLabel, options);
 
         if (dryRun) {
             committed++;
@@ -68,17 +215,21 @@ function makeCommits(repoPath, date, countToMake, totalCount = countToMake, star
 
         try {
             // Append a tiny change
-            const content = `${dateTime} | commit ${globalIndex + 1}/${totalCount} for '${charLabel}'\n`;
-            fs.appendFileSync(artFile, content);
+            const target = path.join(repoPath, file);
+            fs.mkdirSync(path.dirname(target), { recursive: true });
+            fs.appendFileSync(target, content);
 
-            // Stage and commit with specific date
-            execSync('git add .contribution', { cwd: repoPath, stdio: 'pipe' });
-            execSync(
-                `GIT_AUTHOR_DATE="${dateTime}" GIT_COMMITTER_DATE="${dateTime}" git commit -m "${message}"`,
-                { cwd: repoPath, stdio: 'pipe', env: { ...process.env } }
-            );
+            // Stage and commit with specific date (no shell, so quotes in the label are safe)
+            execFileSync('git', ['add', '--', file], { cwd: repoPath, stdio: 'pipe' });
+            const identity = options.author ? identityEnv(options.author) : {};
+            execFileSync('git', ['commit', '-m', message], {
+                cwd: repoPath,
+                stdio: 'pipe',
+                env: { ...process.env, ...identity, GIT_AUTHOR_DATE: timestamp, GIT_COMMITTER_DATE: timestamp },
+            });
 
             committed++;
+            if (options.onCommit) options.onCommit(committed);
         } catch (err) {
             console.error(`  ❌ Failed commit ${globalIndex + 1}/${totalCount} for ${date}: ${err.message}`);
         }
@@ -87,6 +238,125 @@ function makeCommits(repoPath, date, countToMake, totalCount = countToMake, star
     return committed;
 }
 
+/**
+ * Quote a path for a fast-import command when it contains spaces, quotes or backslashes
+ */
+function quoteImportPath(file) {
+    return /[\s"\\]/.test(file) ? JSON.stringify(file) : file;
+}
+
+/**
+ * Start a `git fast-import` process to stream commits into
+ * A process that exits early breaks the pipe. The write error is kept rather than crashing the
+ * process as an unhandled 'error', and finish() throws it with git's stderr.
+ * @param {string} repoPath - Path to the local repo
+ * @param {string[]} args - Extra fast-import arguments
+ * @returns {{ write: (chunk: string) => Promise<void>, finish: (failure?: Error|null) => Promise<void> }}
+ *   finish ends the stream, or abandons it after a failure so git updates no ref
+ */
+function startFastImport(repoPath, args = []) {
+    const child = spawn('git', ['fast-import', '--quiet', '--done', ...args], { cwd: repoPath, stdio: ['pipe', 'ignore', 'pipe'] });
+    let stderr = '';
+    let writeError = null;
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.stdin.on('error', (err) => { writeError = writeError || err; });
+    const exited = once(child, 'close');
+
+    const write = async (chunk) => {
+        if (writeError) throw writeError;
+        if (!child.stdin.write(chunk) && !child.stdin.destroyed) await once(child.stdin, 'drain');
+    };
+
+    const finish = async (failure = null) => {
+        if (failure) {
+            child.stdin.destroy();
+        } else {
+            child.stdin.end('done\n');
+        }
+        const [code] = await exited;
+        // Errors of our own (not of the pipe) are rethrown as they are, once git has stopped
+        if (failure && failure !== writeError) throw failure;
+
+        const reason = stderr.trim() || `exit code ${code}`;
+        if (writeError) throw new Error(`git fast-import failed: ${writeError.message} (${reason})`);
+        if (code !== 0) throw new Error(`git fast-import failed: ${reason}`);
+    };
+
+    return { write, finish };
+}
+
+/**
+ * Make the commits of a whole batch through a single `git fast-import` process
+ *
+ * Produces the same history as makeCommits — one backdated commit per appended line —
+ * without spawning git twice per commit. Nothing is committed unless the whole batch
+ * imports: fast-import only moves the branch once the stream is complete.
+ *
+ * @param {string} repoPath - Path to the local repo
+ * @param {Array<{date: string, countToMake: number, totalCount: number, startIndex: number, charLabel: string, row: number, col: number}>} days
+ *   Commits to make, per day (same meaning as the makeCommits arguments)
+ * @param {Object} options - Commit options (see describeCommit), plus:
+ * @param {Function} options.onDay - Called with (day, index) after each day has been streamed
+ * @returns {Promise<number>} Number of commits made
+ */
+async function fastImportCommits(repoPath, days, options = {}) {
+    const { onDay = () => {} } = options;
+    const git = (...args) => execFileSync('git', args, { cwd: repoPath, encoding: 'utf-8', stdio: 'pipe' });
+    const branch = git('symbolic-ref', '--short', 'HEAD').trim();
+    const parent = git('rev-parse', 'HEAD').trim();
+    const { name, email } = options.author || getRepoIdentity(repoPath);
+
+    // Current contents of every target file, as committed at HEAD
+    const contents = new Map();
+    const readFile = (file) => {
+        if (!contents.has(file)) {
+            try {
+                contents.set(file, git('show', `HEAD:${file}`));
+            } catch {
+                contents.set(file, '');
+            }
+        }
+        return contents.get(file);
+    };
+
+    const { write, finish } = startFastImport(repoPath);
+
+    let committed = 0;
+    let failure = null;
+    try {
+        for (const [index, day] of days.entries()) {
+            const dayOptions = { ...options, row: day.row, col: day.col };
+            for (let i = 0; i < day.countToMake; i++) {
+                const { rawDate: when, message, file, content } = describeCommit(day.date, day.startIndex + i, day.totalCount, day.charLabel, dayOptions);
+                const updated = readFile(file) + content;
+                contents.set(file, updated);
+
+                await write([
+                    `commit refs/heads/${branch}`,
+                    `author ${name} <${email}> ${when}`,
+                    `committer ${name} <${email}> ${when}`,
+                    // git commit -m stores the message with a trailing newline; match it so both paths hash alike
+                    `data ${Buffer.byteLength(message) + 1}`,
+                    `${message}\n`,
+                    ...(committed === 0 ? [`from ${parent}`] : []),
+                    `M 100644 inline ${quoteImportPath(file)}`,
+                    `data ${Buffer.byteLength(updated)}`,
+                    updated,
+                ].join('\n'));
+                committed++;
+            }
+            onDay(day, index);
+        }
+    } catch (err) {
+        failure = err;
+    }
+    await finish(failure);
+
+    // Bring the working tree and index up to the imported commits
+    if (contents.size > 0) git('checkout', 'HEAD', '--', ...contents.keys());
+    return committed;
+}
+
 /**
  * Push commits to remote
  * @param {string} repoPath - Path to the local repo
@@ -112,4 +382,261 @@ function pushToRemote(repoPath) {
     }
 }
 
-module.exports = { initRepo, makeCommits, pushToRemote };
+/**
+ * The commit the repo's HEAD points at
+ * @param {string} repoPath - Path to the local repo
+ * @returns {string|null} Full hash, or null when there are no commits yet
+ */
+function getHead(repoPath) {
+    try {
+        return execSync('git rev-parse --verify -q HEAD', { cwd: repoPath, stdio: 'pipe', encoding: 'utf-8' }).trim();
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Move the current branch (and the working tree) back to an earlier commit
+ * @param {string} repoPath - Path to the local repo
+ * @param {string} commit - Hash to reset to
+ */
+function resetToCommit(repoPath, commit) {
+    execFileSync('git', ['reset', '--hard', commit], { cwd: repoPath, stdio: 'pipe' });
+}
+
+/**
+ * Force-push the current branch, but only over the remote state we expect
+ * --force-with-lease refuses when the remote branch is no longer at `expected`, so commits
+ * pushed from somewhere else are never thrown away.
+ * @param {string} repoPath - Path to the local repo
+ * @param {string} expected - Hash the remote branch must still point at
+ * @returns {boolean} Success
+ */
+function forcePush(repoPath, expected) {
+    try {
+        const branch = execSync('git rev-parse --abbrev-ref HEAD', { cwd: repoPath, stdio: 'pipe', encoding: 'utf-8' }).trim();
+        execFileSync('git', ['push', `--force-with-lease=${branch}:${expected}`, 'origin', `HEAD:${branch}`], { cwd: repoPath, stdio: 'pipe' });
+        return true;
+    } catch (err) {
+        console.error(`  ❌ Failed to force-push: ${err.message}`);
+        return false;
+    }
+}
+
+/**
+ * Count the art repo's commits per author date, as GitHub counts them
+ * The initial commit is left out: it belongs to no plan day.
+ * @param {string} repoPath - Path to the local repo
+ * @returns {Object} { 'YYYY-MM-DD': count } (empty for a missing or empty repo)
+ */
+function countCommitsByDate(repoPath) {
+    let log;
+    try {
+        // %ad in --date=short is the author date in the commit's own offset, i.e. the planned day
+        log = execSync('git log --format=%ad%x09%P --date=short', { cwd: repoPath, stdio: 'pipe', encoding: 'utf-8', maxBuffer: 256 * 1024 * 1024 });
+    } catch {
+        return {};
+    }
+
+    const counts = {};
+    for (const line of log.split('\n')) {
+        const [date, parents] = line.split('\t');
+        if (!date || !parents) continue;
+        counts[date] = (counts[date] || 0) + 1;
+    }
+    return counts;
+}
+
+/**
+ * Count the local commits the remote does not have yet
+ * @param {string} repoPath - Path to the local repo
+ * @returns {number|null} null when the branch has no upstream
+ */
+function countUnpushed(repoPath) {
+    try {
+        return Number(execSync('git rev-list --count @{u}..HEAD', { cwd: repoPath, stdio: 'pipe', encoding: 'utf-8' }).trim());
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Read the commit the branch's upstream points at
+ * @param {string} repoPath - Path to the local repo
+ * @returns {string|null} Hash, or null when the branch has no upstream
+ */
+function getUpstream(repoPath) {
+    try {
+        return execSync('git rev-parse --verify -q @{u}', { cwd: repoPath, stdio: 'pipe', encoding: 'utf-8' }).trim();
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * List the commits of the current branch, oldest first
+ * @param {string} repoPath - Path to the local repo
+ * @returns {Array<{hash: string, parents: string[], date: string, subject: string}>}
+ *   date = author date as countCommitsByDate counts it
+ */
+function listCommits(repoPath) {
+    const log = execFileSync('git', ['log', '--reverse', '--first-parent', '--date=short', '--format=%H%x09%P%x09%ad%x09%s'], {
+        cwd: repoPath,
+        stdio: 'pipe',
+        encoding: 'utf-8',
+        maxBuffer: 256 * 1024 * 1024,
+    });
+
+    return log.split('\n').filter(Boolean).map(line => {
+        const [hash, parents, date, ...subject] = line.split('\t');
+        return { hash, parents: parents ? parents.split(' ') : [], date, subject: subject.join('\t') };
+    });
+}
+
+/**
+ * Read the lines a commit's patch appends to each file
+ * @param {string} patch - Output of `git log -p -U0` for one commit
+ * @returns {Map<string, string>} Appended text per file
+ * @throws {Error} When the commit removes or rewrites anything
+ */
+function parseAppends(patch, hash) {
+    const appended = new Map();
+    const refuse = () => {
+        throw new Error(`Commit ${hash.slice(0, 7)} does more than add lines to files. Only history made by this service can be rewritten`);
+    };
+
+    let file = null;
+    for (const line of patch.split('\n')) {
+        if (line.startsWith('diff --git ')) {
+            file = null;
+        } else if (file === null) {
+            // Header of a file's diff
+            if (line.startsWith('Binary files ') || line.startsWith('deleted file mode') || line === '+++ /dev/null') refuse();
+            if (line.startsWith('+++ ')) {
+                // Unusual names are quoted by git; the service never makes such files
+                if (!line.startsWith('+++ b/')) refuse();
+                file = line.slice('+++ b/'.length);
+                appended.set(file, '');
+            }
+        } else if (line.startsWith('+')) {
+            appended.set(file, `${appended.get(file)}${line.slice(1)}\n`);
+        } else if (line.startsWith('-') || line.startsWith('\\')) {
+            refuse();
+        }
+    }
+    return appended;
+}
+
+/**
+ * Rewrite the current branch without some of its commits
+ *
+ * Every commit of the art repo appends a line to a file, so the commits after the first dropped
+ * one are replayed through `git fast-import` from their patches, without the lines of the
+ * dropped commits: the files end up as if those were never made. Authors, dates and messages
+ * are kept, and the commits before the first dropped one keep their hashes.
+ *
+ * @param {string} repoPath - Path to the local repo
+ * @param {Set<string>} drop - Hashes of the commits to remove (see listCommits)
+ * @returns {Promise<{head: string, replayed: number}>} New HEAD and the number of commits rewritten
+ * @throws {Error} When the working tree has changes, or the history is not a line of appends
+ */
+async function rewriteHistory(repoPath, drop) {
+    const git = (...args) => execFileSync('git', args, { cwd: repoPath, encoding: 'utf-8', stdio: 'pipe', maxBuffer: 1024 * 1024 * 1024 });
+    if (git('status', '--porcelain').trim()) {
+        throw new Error(`${repoPath} has uncommitted changes. Commit or discard them first`);
+    }
+
+    const commits = listCommits(repoPath);
+    const first = commits.findIndex(commit => drop.has(commit.hash));
+    if (first === -1) return { head: getHead(repoPath), replayed: 0 };
+    if (first === 0) {
+        throw new Error('The first commit of the art repo cannot be erased');
+    }
+    if (commits.slice(first).some(commit => commit.parents.length > 1)) {
+        throw new Error(`${repoPath} has merge commits after the first one to erase. Only history made by this service can be rewritten`);
+    }
+    const base = commits[first - 1].hash;
+
+    // Everything a commit needs, NUL-separated because messages may contain anything else
+    const log = git('log', '--reverse', '--first-parent', '--date=raw', '-p', '-U0', '--no-renames', '--no-color', '--no-ext-diff',
+        '--format=%x00%H%x00%an <%ae> %ad%x00%cn <%ce> %cd%x00%B%x00', `${base}..HEAD`);
+    const fields = log.split('\0');
+    const kept = [];
+    for (let i = 1; i + 4 < fields.length; i += 5) {
+        const [hash, author, committer, message, patch] = fields.slice(i, i + 5);
+        if (!drop.has(hash)) kept.push({ author, committer, message, appended: parseAppends(patch, hash) });
+    }
+
+    if (kept.length === 0) {
+        resetToCommit(repoPath, base);
+        return { head: base, replayed: 0 };
+    }
+
+    // Contents of every touched file, starting from the last commit that stays as it is
+    const branch = git('symbolic-ref', '--short', 'HEAD').trim();
+    const contents = new Map();
+    const readFile = (file) => {
+        if (!contents.has(file)) {
+            try {
+                contents.set(file, git('show', `${base}:${file}`));
+            } catch {
+                contents.set(file, '');
+            }
+        }
+        return contents.get(file);
+    };
+
+    // --force: the branch moves to a history that does not contain its old tip
+    const { write, finish } = startFastImport(repoPath, ['--force']);
+
+    let failure = null;
+    try {
+        for (const [index, commit] of kept.entries()) {
+            const message = commit.message.endsWith('\n') ? commit.message : `${commit.message}\n`;
+            const changes = [];
+            for (const [file, lines] of commit.appended) {
+                const updated = readFile(file) + lines;
+                contents.set(file, updated);
+                changes.push(`M 100644 inline ${quoteImportPath(file)}`, `data ${Buffer.byteLength(updated)}`, updated);
+            }
+
+            await write([
+                `commit refs/heads/${branch}`,
+                `author ${commit.author}`,
+                `committer ${commit.committer}`,
+                `data ${Buffer.byteLength(message)}`,
+                message,
+                ...(index === 0 ? [`from ${base}`] : []),
+                ...changes,
+                // Ends the commit even when it changes no file
+                '',
+            ].join('\n'));
+        }
+    } catch (err) {
+        failure = err;
+    }
+    // Throws before the reset below, so a failed rewrite leaves the branch and working tree alone
+    await finish(failure);
+
+    // The working tree was clean, so bring it to the new HEAD
+    git('reset', '-q', '--hard', 'HEAD');
+    return { head: getHead(repoPath), replayed: kept.length };
+}
+
+module.exports = {
+    initRepo,
+    getRepoIdentity,
+    checkIdentity,
+    describeCommit,
+    makeCommits,
+    fastImportCommits,
+    pushToRemote,
+    getHead,
+    resetToCommit,
+    forcePush,
+    countCommitsByDate,
+    countUnpushed,
+    getUpstream,
+    listCommits,
+    rewriteHistory,
+};
@@ -0,0 +1,150 @@
+/**
+ * Eraser Module
+ * Picks the commits to erase from the art repo, so part of the art can be redrawn:
+ * by character, date, week column, or wherever the art in config.json changed
+ */
+
+const { getCanvas, parseDate } = require('./planner');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a date or a date range ('2025-03-01' or '2025-03-01..2025-03-14')
+ * @returns {{from: string, to: string}}
+ * @throws {Error} When it is not one
+ */
+function parseDateRange(value) {
+    const match = /^(\d{4}-\d{2}-\d{2})(?:\.\.(\d{4}-\d{2}-\d{2}))?$/.exec(String(value));
+    if (!match || (match[2] && match[2] < match[1])) {
+        throw new Error(`Invalid date '${value}': use YYYY-MM-DD or YYYY-MM-DD..YYYY-MM-DD`);
+    }
+    return { from: match[1], to: match[2] || match[1] };
+}
+
+/**
+ * Parse a week column or a range of them ('30' or '30-34'), counted from 0 like the plan's `col`
+ * @returns {{from: number, to: number}}
+ * @throws {Error} When it is not one
+ */
+function parseColumnRange(value) {
+    const match = /^(\d+)(?:-(\d+))?$/.exec(String(value));
+    const from = match ? Number(match[1]) : NaN;
+    const to = match && match[2] !== undefined ? Number(match[2]) : from;
+    if (!match || to < from || to > 52) {
+        throw new Error(`Invalid column '${value}': use a week column from 0 to 52, or a range such as 30-34`);
+    }
+    return { from, to };
+}
+
+/**
+ * Turn a message template into a pattern matching its messages for some characters
+ * Only works when the template records the character; a message corpus never does.
+ * @param {string} template - Message template the commits were made with
+ * @param {string[]} chars - Characters to match
+ * @returns {RegExp}
+ * @throws {Error} When the template has no {char}
+ */
+function messagePattern(template, chars) {
+    if (!template.includes('{char}')) {
+        throw new Error('The commit messages do not record the character (messageTemplate has no {char}). Select the days with --date or --col instead');
+    }
+    const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const source = template.split(/(\{\w+\})/).map(part => {
+        if (part === '{char}') return `(?:${chars.map(escape).join('|')})`;
+        return /^\{\w+\}$/.test(part) ? '.*?' : escape(part);
+    }).join('');
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Find the days on which the repo has more commits than a (changed) plan wants
+ * Commits cannot be taken off a day one by one, so these days are erased and drawn again.
+ * @param {Array} plan - Plan of the art as it is now
+ * @param {Object} counts - Commits per date in the repo { 'YYYY-MM-DD': count }
+ * @param {number|{endDate: string}} range - Canvas of the plan (see getCanvas)
+ * @returns {string[]} Dates, oldest first
+ */
+function findChangedDays(plan, counts, range) {
+    const { from, to } = getCanvas(range);
+    const planned = Object.fromEntries(plan.map(entry => [entry.date, entry.commits]));
+    return Object.keys(counts)
+        .filter(date => date >= from && date <= to && counts[date] > (planned[date] || 0))
+        .sort();
+}
+
+/**
+ * Build the test for the commits to erase
+ * Selectors add up: a commit is erased when any of them matches it.
+ * @param {Object} selection
+ * @param {string[]} selection.chars - Characters of the art
+ * @param {string[]} selection.dates - Dates or date ranges (see parseDateRange)
+ * @param {string[]} selection.cols - Week columns of the canvas or ranges of them (see parseColumnRange)
+ * @param {string[]} selection.changed - Dates found by findChangedDays
+ * Characters are found by their commit messages, so streak top-ups and your own commits on the
+ * same days are kept. Only when the messages do not record the character (a message corpus) are
+ * the whole days of the characters in the plan erased.
+ * @param {Object} context
+ * @param {number|{endDate: string}} context.range - Canvas of the art
+ * @param {Array|null} context.plan - Plan the repo was drawn from, to narrow the characters to their days;
+ *   null when the art has changed since
+ * @param {string} context.messageTemplate - Template the commit messages were made with
+ * @returns {(commit: {date: string, subject: string}) => boolean}
+ * @throws {Error} When a selector is invalid
+ */
+function createSelector({ chars = [], dates = [], cols = [], changed = [] }, { range, plan = null, messageTemplate = '' }) {
+    const dateRanges = dates.map(parseDateRange);
+    const colRanges = cols.map(parseColumnRange);
+    const days = new Set(changed);
+
+    let pattern = null;
+    let charDays = null;
+    if (chars.length > 0 && plan && !messageTemplate.includes('{char}')) {
+        plan.filter(entry => chars.includes(entry.char)).forEach(entry => days.add(entry.date));
+    } else if (chars.length > 0) {
+        pattern = messagePattern(messageTemplate, chars);
+        if (plan) charDays = new Set(plan.filter(entry => chars.includes(entry.char)).map(entry => entry.date));
+    }
+
+    const canvas = getCanvas(range);
+    const columnOf = (date) => Math.floor(Math.round((parseDate(date) - canvas.start) / DAY_MS) / 7);
+
+    return ({ date, subject }) =>
+        days.has(date) ||
+        (pattern !== null && pattern.test(subject) && (charDays === null || charDays.has(date))) ||
+        dateRanges.some(r => date >= r.from && date <= r.to) ||
+        (colRanges.length > 0 && date >= canvas.from && date <= canvas.to &&
+            colRanges.some(r => columnOf(date) >= r.from && columnOf(date) <= r.to));
+}
+
+/**
+ * Count the commits to erase on each day, and how many of them the art did not draw
+ * @param {Array<{hash: string, date: string, parents: string[]}>} commits - Commits of the repo (see listCommits)
+ * @param {Array<{hash: string, date: string}>} doomed - Commits to erase
+ * @param {Array|null} plan - Plan the repo was drawn from; null when unknown
+ * @returns {Object<string, {erased: number, total: number, unplanned: number}>} Days with commits to erase;
+ *   `unplanned` is how many of them are beyond the art's commits for that day (streak top-ups, your own)
+ */
+function countErasedByDay(commits, doomed, plan = null) {
+    const planned = plan ? Object.fromEntries(plan.map(entry => [entry.date, entry.commits])) : null;
+    const perDay = {};
+    for (const commit of commits.filter(c => c.parents.length > 0)) {
+        perDay[commit.date] = perDay[commit.date] || { erased: 0, total: 0, unplanned: 0 };
+        perDay[commit.date].total++;
+    }
+    doomed.forEach(commit => { perDay[commit.date].erased++; });
+    for (const date of Object.keys(perDay)) {
+        const day = perDay[date];
+        if (day.erased === 0) delete perDay[date];
+        else if (planned) day.unplanned = Math.max(0, day.erased - (planned[date] || 0));
+    }
+    return perDay;
+}
+
+module.exports = {
+    parseDateRange,
+    parseColumnRange,
+    messagePattern,
+    findChangedDays,
+    createSelector,
+    countErasedByDay,
+};
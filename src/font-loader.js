@@ -0,0 +1,200 @@
+/**
+ * Font Loader Module
+ * Loads font packs from JSON files and BDF bitmap fonts into the font registry
+ *
+ * JSON format:
+ *   {
+ *     "name": "brand",
+ *     "description": "Our 7-row logo typeface",
+ *     "height": 7,
+ *     "glyphs": { "A": [".###.", "#...#", ...], "B": [[1, 1, 1, 1, 0], ...] }
+ *   }
+ * Glyph rows are either 0/1 arrays or strings where '#', '1', 'X' or '*' mark filled pixels.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { registerFont } = require('./fonts');
+
+const DEFAULT_FONTS_DIR = path.join(__dirname, '..', 'fonts');
+const FONT_EXTENSIONS = ['.json', '.bdf'];
+
+/**
+ * Convert a JSON glyph (array of strings or of 0/1 arrays) into a 0/1 matrix
+ */
+function parseGlyphRows(rows) {
+    return rows.map(row => (typeof row === 'string'
+        ? Array.from(row).map(ch => ('#1X*'.includes(ch) ? 1 : 0))
+        : row.map(v => (v ? 1 : 0))));
+}
+
+/**
+ * Parse a JSON font pack
+ * @param {string} source - File contents
+ * @param {string} fallbackName - Name to use when the pack has none (the file name)
+ */
+function parseJsonFont(source, fallbackName) {
+    const data = JSON.parse(source);
+    const glyphs = {};
+    for (const [char, rows] of Object.entries(data.glyphs || {})) {
+        glyphs[char] = parseGlyphRows(rows);
+    }
+
+    return {
+        name: data.name || fallbackName,
+        description: data.description,
+        height: data.height || (Object.values(glyphs)[0] || []).length,
+        glyphs,
+    };
+}
+
+/**
+ * Parse a BDF (Glyph Bitmap Distribution Format) font
+ * Glyphs are placed on a cell of FONT_ASCENT + FONT_DESCENT rows using each BBX offset,
+ * so the font must be at most 7 pixels tall to fit the graph.
+ * @param {string} source - File contents
+ * @param {string} fallbackName - Name to use for the font (the file name)
+ */
+function parseBdfFont(source, fallbackName) {
+    const lines = source.split(/\r?\n/);
+    let ascent = null;
+    let descent = null;
+    let boundingBox = null;
+    let description = null;
+    const glyphs = {};
+
+    let glyph = null;
+    let bitmap = null;
+
+    for (const rawLine of lines) {
+        const line = rawLine.trim();
+        const [keyword, ...args] = line.split(/\s+/);
+
+        if (bitmap) {
+            if (keyword === 'ENDCHAR') {
+                glyph.bitmap = bitmap;
+                if (glyph.encoding >= 0) glyphs[String.fromCodePoint(glyph.encoding)] = glyph;
+                glyph = null;
+                bitmap = null;
+            } else if (line) {
+                bitmap.push(line);
+            }
+            continue;
+        }
+
+        switch (keyword) {
+            case 'FONTBOUNDINGBOX':
+                boundingBox = args.map(Number);
+                break;
+            case 'FONT_ASCENT':
+                ascent = Number(args[0]);
+                break;
+            case 'FONT_DESCENT':
+                descent = Number(args[0]);
+                break;
+            case 'FAMILY_NAME':
+                description = `${args.join(' ').replace(/"/g, '')} (BDF)`;
+                break;
+            case 'STARTCHAR':
+                glyph = { encoding: -1, dwidth: 0, bbx: [0, 0, 0, 0] };
+                break;
+            case 'ENCODING':
+                if (glyph) glyph.encoding = Number(args[0]);
+                break;
+            case 'DWIDTH':
+                if (glyph) glyph.dwidth = Number(args[0]);
+                break;
+            case 'BBX':
+                if (glyph) glyph.bbx = args.map(Number);
+                break;
+            case 'BITMAP':
+                if (glyph) bitmap = [];
+                break;
+            default:
+                break;
+        }
+    }
+
+    if (ascent === null || descent === null) {
+        if (!boundingBox) throw new Error('BDF font has no FONT_ASCENT/FONT_DESCENT or FONTBOUNDINGBOX');
+        ascent = boundingBox[1] + boundingBox[3];
+        descent = -boundingBox[3];
+    }
+    const height = ascent + descent;
+
+    const matrices = {};
+    for (const [char, { bitmap: rows, bbx, dwidth }] of Object.entries(glyphs)) {
+        const [w, h, xOff, yOff] = bbx;
+        const width = Math.max(1, w > 0 ? w + Math.max(0, xOff) : dwidth);
+        const matrix = Array.from({ length: height }, () => Array(width).fill(0));
+        const top = ascent - (yOff + h);
+
+        rows.slice(0, h).forEach((hex, y) => {
+            for (let x = 0; x < w; x++) {
+                const row = top + y;
+                const col = Math.max(0, xOff) + x;
+                const bit = (parseInt(hex[x >> 2] || '0', 16) >> (3 - (x & 3))) & 1;
+                if (row >= 0 && row < height && col < width && bit) {
+                    matrix[row][col] = 1;
+                }
+            }
+        });
+        matrices[char] = matrix;
+    }
+
+    return { name: fallbackName, description, height, glyphs: matrices };
+}
+
+/**
+ * Load one font file (.json or .bdf) and register it
+ * @param {string} filePath - Path to the font file
+ * @returns {Object} The registered font
+ */
+function loadFontFile(filePath) {
+    const ext = path.extname(filePath).toLowerCase();
+    const fallbackName = path.basename(filePath, ext).toLowerCase();
+    const source = fs.readFileSync(filePath, 'utf-8');
+
+    if (ext === '.json') return registerFont(parseJsonFont(source, fallbackName));
+    if (ext === '.bdf') return registerFont(parseBdfFont(source, fallbackName));
+    throw new Error(`Unsupported font file: ${path.basename(filePath)} (use .json or .bdf)`);
+}
+
+/**
+ * Load every font pack from the fonts/ directory and the given extra paths
+ * A broken pack is reported and skipped so the built-in fonts keep working.
+ * @param {string[]} fontPaths - Extra font files or directories (e.g. config.fontPaths)
+ * @param {string} fontsDir - Default directory scanned for packs
+ * @returns {{ loaded: Object[], errors: Array<{file: string, message: string}> }}
+ */
+function loadFontPacks(fontPaths = [], fontsDir = DEFAULT_FONTS_DIR) {
+    const files = [];
+    const errors = [];
+    for (const entry of [fontsDir, ...fontPaths]) {
+        if (!fs.existsSync(entry)) {
+            if (entry !== fontsDir) errors.push({ file: entry, message: 'File not found' });
+            continue;
+        }
+        if (fs.statSync(entry).isDirectory()) {
+            fs.readdirSync(entry)
+                .filter(file => FONT_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+                .sort()
+                .forEach(file => files.push(path.join(entry, file)));
+        } else {
+            files.push(entry);
+        }
+    }
+
+    const loaded = [];
+    for (const file of files) {
+        try {
+            loaded.push(loadFontFile(file));
+        } catch (err) {
+            errors.push({ file, message: err.message });
+        }
+    }
+
+    return { loaded, errors };
+}
+
+module.exports = { parseJsonFont, parseBdfFont, loadFontFile, loadFontPacks };
@@ -1,6 +1,7 @@
 /**
  * Pixel Font Definitions for GitHub Contribution Graph Art
- * Each character is a 7-row × 5-column matrix
+ * The standard font has 7-row × 5-column characters,
+ * the compact font 5 × 3 and the micro font 3 × 3 (two lines fit in 7 rows)
  * Rows = days of week (Sun=0 to Sat=6)
  * Columns = consecutive weeks
  * 1 = filled pixel, 0 = empty pixel
@@ -376,45 +377,1121 @@ const FONT = {
         [0, 0, 0, 0, 0],
         [1, 1, 1, 1, 1],
     ],
+    // Lowercase (x-height rows 2-6, descenders squeezed into the 7 rows)
+    'a': [
+        [0, 0, 0, 0, 0],
+        [0, 0, 0, 0, 0],
+        [0, 1, 1, 1, 0],
+        [0, 0, 0, 0, 1],
+        [0, 1, 1, 1, 1],
+        [1, 0, 0, 0, 1],
+        [0, 1, 1, 1, 1],
+    ],
+    'b': [
+        [1, 0, 0, 0, 0],
+        [1, 0, 0, 0, 0],
+        [1, 0, 1, 1, 0],
+        [1, 1, 0, 0, 1],
+        [1, 0, 0, 0, 1],
+        [1, 0, 0, 0, 1],
+        [1, 1, 1, 1, 0],
+    ],
+    'c': [
+        [0, 0, 0, 0, 0],
+        [0, 0, 0, 0, 0],
+        [0, 1, 1, 1, 0],
+        [1, 0, 0, 0, 0],
+        [1, 0, 0, 0, 0],
+        [1, 0, 0, 0, 1],
+        [0, 1, 1, 1, 0],
+    ],
+    'd': [
+        [0, 0, 0, 0, 1],
+        [0, 0, 0, 0, 1],
+        [0, 1, 1, 0, 1],
+        [1, 0, 0, 1, 1],
+        [1, 0, 0, 0, 1],
+        [1, 0, 0, 0, 1],
+        [0, 1, 1, 1, 1],
+    ],
+    'e': [
+        [0, 0, 0, 0, 0],
+        [0, 0, 0, 0, 0],
+        [0, 1, 1, 1, 0],
+        [1, 0, 0, 0, 1],
+        [1, 1, 1, 1, 1],
+        [1, 0, 0, 0, 0],
+        [0, 1, 1, 1, 0],
+    ],
+    'f': [
+        [0, 0, 1, 1, 0],
+        [0, 1, 0, 0, 1],
+        [0, 1, 0, 0, 0],
+        [1, 1, 1, 0, 0],
+        [0, 1, 0, 0, 0],
+        [0, 1, 0, 0, 0],
+        [0, 1, 0, 0, 0],
+    ],
+    'g': [
+        [0, 0, 0, 0, 0],
+        [0, 1, 1, 1, 1],
+        [1, 0, 0, 0, 1],
+        [1, 0, 0, 0, 1],
+        [0, 1, 1, 1, 1],
+        [0, 0, 0, 0, 1],
+        [0, 1, 1, 1, 0],
+    ],
+    'h': [
+        [1, 0, 0, 0, 0],
+        [1, 0, 0, 0, 0],
+        [1, 0, 1, 1, 0],
+        [1, 1, 0, 0, 1],
+        [1, 0, 0, 0, 1],
+        [1, 0, 0, 0, 1],
+        [1, 0, 0, 0, 1],
+    ],
+    'i': [
+        [0, 0, 1, 0, 0],
+        [0, 0, 0, 0, 0],
+        [0, 1, 1, 0, 0],
+        [0, 0, 1, 0, 0],
+        [0, 0, 1, 0, 0],
+        [0, 0, 1, 0, 0],
+        [0, 1, 1, 1, 0],
+    ],
+    'j': [
+        [0, 0, 0, 1, 0],
+        [0, 0, 0, 0, 0],
+        [0, 0, 1, 1, 0],
+        [0, 0, 0, 1, 0],
+        [0, 0, 0, 1, 0],
+        [1, 0, 0, 1, 0],
+        [0, 1, 1, 0, 0],
+    ],
+    'k': [
+        [1, 0, 0, 0, 0],
+        [1, 0, 0, 0, 0],
+        [1, 0, 0, 1, 0],
+        [1, 0, 1, 0, 0],
+        [1, 1, 0, 0, 0],
+        [1, 0, 1, 0, 0],
+        [1, 0, 0, 1, 0],
+    ],
+    'l': [
+        [0, 1, 1, 0, 0],
+        [0, 0, 1, 0, 0],
+        [0, 0, 1, 0, 0],
+        [0, 0, 1, 0, 0],
+        [0, 0, 1, 0, 0],
+        [0, 0, 1, 0, 0],
+        [0, 1, 1, 1, 0],
+    ],
+    'm': [
+        [0, 0, 0, 0, 0],
+        [0, 0, 0, 0, 0],
+        [1, 1, 0, 1, 0],
+        [1, 0, 1, 0, 1],
+        [1, 0, 1, 0, 1],
+        [1, 0, 0, 0, 1],
+        [1, 0, 0, 0, 1],
+    ],
+    'n': [
+        [0, 0, 0, 0, 0],
+        [0, 0, 0, 0, 0],
+        [1, 0, 1, 1, 0],
+        [1, 1, 0, 0, 1],
+        [1, 0, 0, 0, 1],
+        [1, 0, 0, 0, 1],
+        [1, 0, 0, 0, 1],
+    ],
+    'o': [
+        [0, 0, 0, 0, 0],
+        [0, 0, 0, 0, 0],
+        [0, 1, 1, 1, 0],
+        [1, 0, 0, 0, 1],
+        [1, 0, 0, 0, 1],
+        [1, 0, 0, 0, 1],
+        [0, 1, 1, 1, 0],
+    ],
+    'p': [
+        [0, 0, 0, 0, 0],
+        [0, 0, 0, 0, 0],
+        [1, 1, 1, 1, 0],
+        [1, 0, 0, 0, 1],
+        [1, 1, 1, 1, 0],
+        [1, 0, 0, 0, 0],
+        [1, 0, 0, 0, 0],
+    ],
+    'q': [
+        [0, 0, 0, 0, 0],
+        [0, 0, 0, 0, 0],
+        [0, 1, 1, 0, 1],
+        [1, 0, 0, 1, 1],
+        [0, 1, 1, 1, 1],
+        [0, 0, 0, 0, 1],
+        [0, 0, 0, 0, 1],
+    ],
+    'r': [
+        [0, 0, 0, 0, 0],
+        [0, 0, 0, 0, 0],
+        [1, 0, 1, 1, 0],
+        [1, 1, 0, 0, 1],
+        [1, 0, 0, 0, 0],
+        [1, 0, 0, 0, 0],
+        [1, 0, 0, 0, 0],
+    ],
+    's': [
+        [0, 0, 0, 0, 0],
+        [0, 0, 0, 0, 0],
+        [0, 1, 1, 1, 0],
+        [1, 0, 0, 0, 0],
+        [0, 1, 1, 1, 0],
+        [0, 0, 0, 0, 1],
+        [1, 1, 1, 1, 0],
+    ],
+    't': [
+        [0, 1, 0, 0, 0],
+        [0, 1, 0, 0, 0],
+        [1, 1, 1, 0, 0],
+        [0, 1, 0, 0, 0],
+        [0, 1, 0, 0, 0],
+        [0, 1, 0, 0, 1],
+        [0, 0, 1, 1, 0],
+    ],
+    'u': [
+        [0, 0, 0, 0, 0],
+        [0, 0, 0, 0, 0],
+        [1, 0, 0, 0, 1],
+        [1, 0, 0, 0, 1],
+        [1, 0, 0, 0, 1],
+        [1, 0, 0, 1, 1],
+        [0, 1, 1, 0, 1],
+    ],
+    'v': [
+        [0, 0, 0, 0, 0],
+        [0, 0, 0, 0, 0],
+        [1, 0, 0, 0, 1],
+        [1, 0, 0, 0, 1],
+        [1, 0, 0, 0, 1],
+        [0, 1, 0, 1, 0],
+        [0, 0, 1, 0, 0],
+    ],
+    'w': [
+        [0, 0, 0, 0, 0],
+        [0, 0, 0, 0, 0],
+        [1, 0, 0, 0, 1],
+        [1, 0, 0, 0, 1],
+        [1, 0, 1, 0, 1],
+        [1, 0, 1, 0, 1],
+        [0, 1, 0, 1, 0],
+    ],
+    'x': [
+        [0, 0, 0, 0, 0],
+        [0, 0, 0, 0, 0],
+        [1, 0, 0, 0, 1],
+        [0, 1, 0, 1, 0],
+        [0, 0, 1, 0, 0],
+        [0, 1, 0, 1, 0],
+        [1, 0, 0, 0, 1],
+    ],
+    'y': [
+        [0, 0, 0, 0, 0],
+        [0, 0, 0, 0, 0],
+        [1, 0, 0, 0, 1],
+        [1, 0, 0, 0, 1],
+        [0, 1, 1, 1, 1],
+        [0, 0, 0, 0, 1],
+        [0, 1, 1, 1, 0],
+    ],
+    'z': [
+        [0, 0, 0, 0, 0],
+        [0, 0, 0, 0, 0],
+        [1, 1, 1, 1, 1],
+        [0, 0, 0, 1, 0],
+        [0, 0, 1, 0, 0],
+        [0, 1, 0, 0, 0],
+        [1, 1, 1, 1, 1],
+    ],
+    // Punctuation and Latin extras
+    '?': [
+        [0, 1, 1, 1, 0],
+        [1, 0, 0, 0, 1],
+        [0, 0, 0, 0, 1],
+        [0, 0, 0, 1, 0],
+        [0, 0, 1, 0, 0],
+        [0, 0, 0, 0, 0],
+        [0, 0, 1, 0, 0],
+    ],
+    ':': [
+        [0],
+        [0],
+        [1],
+        [0],
+        [0],
+        [1],
+        [0],
+    ],
+    '/': [
+        [0, 0, 0, 0, 1],
+        [0, 0, 0, 0, 1],
+        [0, 0, 0, 1, 0],
+        [0, 0, 1, 0, 0],
+        [0, 1, 0, 0, 0],
+        [1, 0, 0, 0, 0],
+        [1, 0, 0, 0, 0],
+    ],
+    '#': [
+        [0, 1, 0, 1, 0],
+        [0, 1, 0, 1, 0],
+        [1, 1, 1, 1, 1],
+        [0, 1, 0, 1, 0],
+        [1, 1, 1, 1, 1],
+        [0, 1, 0, 1, 0],
+        [0, 1, 0, 1, 0],
+    ],
+    '@': [
+        [0, 1, 1, 1, 0],
+        [1, 0, 0, 0, 1],
+        [0, 0, 0, 0, 1],
+        [0, 1, 1, 0, 1],
+        [1, 0, 1, 0, 1],
+        [1, 0, 1, 0, 1],
+        [0, 1, 1, 1, 0],
+    ],
+    '+': [
+        [0, 0, 0, 0, 0],
+        [0, 0, 1, 0, 0],
+        [0, 0, 1, 0, 0],
+        [1, 1, 1, 1, 1],
+        [0, 0, 1, 0, 0],
+        [0, 0, 1, 0, 0],
+        [0, 0, 0, 0, 0],
+    ],
+    '=': [
+        [0, 0, 0, 0, 0],
+        [0, 0, 0, 0, 0],
+        [1, 1, 1, 1, 1],
+        [0, 0, 0, 0, 0],
+        [1, 1, 1, 1, 1],
+        [0, 0, 0, 0, 0],
+        [0, 0, 0, 0, 0],
+    ],
+    '\'': [
+        [1],
+        [1],
+        [0],
+        [0],
+        [0],
+        [0],
+        [0],
+    ],
+    '"': [
+        [1, 0, 1],
+        [1, 0, 1],
+        [0, 0, 0],
+        [0, 0, 0],
+        [0, 0, 0],
+        [0, 0, 0],
+        [0, 0, 0],
+    ],
+    '*': [
+        [0, 0, 1, 0, 0],
+        [0, 0, 1, 0, 0],
+        [1, 1, 1, 1, 1],
+        [0, 1, 1, 1, 0],
+        [0, 1, 0, 1, 0],
+        [1, 0, 0, 0, 1],
+        [0, 0, 0, 0, 0],
+    ],
+    'Ç': [
+        [0, 1, 1, 1, 0],
+        [1, 0, 0, 0, 1],
+        [1, 0, 0, 0, 0],
+        [1, 0, 0, 0, 1],
+        [0, 1, 1, 1, 0],
+        [0, 0, 1, 0, 0],
+        [0, 1, 1, 0, 0],
+    ],
+    'ç': [
+        [0, 0, 0, 0, 0],
+        [0, 1, 1, 1, 0],
+        [1, 0, 0, 0, 0],
+        [1, 0, 0, 0, 0],
+        [0, 1, 1, 1, 0],
+        [0, 0, 1, 0, 0],
+        [0, 1, 1, 0, 0],
+    ],
+    'ß': [
+        [0, 1, 1, 0, 0],
+        [1, 0, 0, 1, 0],
+        [1, 0, 1, 0, 0],
+        [1, 0, 0, 1, 0],
+        [1, 0, 0, 0, 1],
+        [1, 0, 0, 0, 1],
+        [1, 0, 1, 1, 0],
+    ],
+    // Multi-character symbols (typed as written, e.g. ':)')
+    ':)': [
+        [0, 1, 1, 1, 1, 1, 0],
+        [1, 0, 0, 0, 0, 0, 1],
+        [1, 0, 1, 0, 1, 0, 1],
+        [1, 0, 0, 0, 0, 0, 1],
+        [1, 1, 0, 0, 0, 1, 1],
+        [1, 0, 1, 1, 1, 0, 1],
+        [0, 1, 1, 1, 1, 1, 0],
+    ],
+    ':(': [
+        [0, 1, 1, 1, 1, 1, 0],
+        [1, 0, 0, 0, 0, 0, 1],
+        [1, 0, 1, 0, 1, 0, 1],
+        [1, 0, 0, 0, 0, 0, 1],
+        [1, 0, 1, 1, 1, 0, 1],
+        [1, 1, 0, 0, 0, 1, 1],
+        [0, 1, 1, 1, 1, 1, 0],
+    ],
+    '->': [
+        [0, 0, 0, 0, 0, 0, 0],
+        [0, 0, 0, 0, 1, 0, 0],
+        [0, 0, 0, 0, 0, 1, 0],
+        [1, 1, 1, 1, 1, 1, 1],
+        [0, 0, 0, 0, 0, 1, 0],
+        [0, 0, 0, 0, 1, 0, 0],
+        [0, 0, 0, 0, 0, 0, 0],
+    ],
+    '<-': [
+        [0, 0, 0, 0, 0, 0, 0],
+        [0, 0, 1, 0, 0, 0, 0],
+        [0, 1, 0, 0, 0, 0, 0],
+        [1, 1, 1, 1, 1, 1, 1],
+        [0, 1, 0, 0, 0, 0, 0],
+        [0, 0, 1, 0, 0, 0, 0],
+        [0, 0, 0, 0, 0, 0, 0],
+    ],
+    '<3': [
+        [0, 0, 0, 0, 0, 0, 0],
+        [0, 1, 1, 0, 1, 1, 0],
+        [1, 1, 1, 1, 1, 1, 1],
+        [1, 1, 1, 1, 1, 1, 1],
+        [0, 1, 1, 1, 1, 1, 0],
+        [0, 0, 1, 1, 1, 0, 0],
+        [0, 0, 0, 1, 0, 0, 0],
+    ],
+};
+
+// ─── Accented Latin ──────────────────────────────────────────────────
+// Accented letters are composed: a 2-row accent on top of a 5-row body.
+// Uppercase bodies keep rows 0, 1, 3, 5, 6 of the base letter, lowercase bodies its x-height rows 2-6.
+const ACCENT_MARKS = {
+    grave: [[0, 1, 0, 0, 0], [0, 0, 1, 0, 0]],
+    acute: [[0, 0, 0, 1, 0], [0, 0, 1, 0, 0]],
+    circumflex: [[0, 0, 1, 0, 0], [0, 1, 0, 1, 0]],
+    diaeresis: [[0, 1, 0, 1, 0], [0, 0, 0, 0, 0]],
+    tilde: [[0, 1, 1, 0, 1], [1, 0, 1, 1, 0]],
+};
+
+const ACCENTED = {
+    A: { À: 'grave', Á: 'acute', Â: 'circumflex', Ä: 'diaeresis', Ã: 'tilde' },
+    E: { È: 'grave', É: 'acute', Ê: 'circumflex', Ë: 'diaeresis' },
+    I: { Ì: 'grave', Í: 'acute', Î: 'circumflex', Ï: 'diaeresis' },
+    O: { Ò: 'grave', Ó: 'acute', Ô: 'circumflex', Ö: 'diaeresis', Õ: 'tilde' },
+    U: { Ù: 'grave', Ú: 'acute', Û: 'circumflex', Ü: 'diaeresis' },
+    N: { Ñ: 'tilde' },
+    Y: { Ý: 'acute' },
+};
+
+for (const [base, variants] of Object.entries(ACCENTED)) {
+    const lowerBase = base.toLowerCase();
+    const upperBody = [0, 1, 3, 5, 6].map(row => FONT[base][row]);
+    const lowerBody = FONT[lowerBase].slice(2);
+
+    for (const [char, mark] of Object.entries(variants)) {
+        FONT[char] = [...ACCENT_MARKS[mark], ...upperBody];
+        FONT[char.toLowerCase()] = [...ACCENT_MARKS[mark], ...lowerBody];
+    }
+}
+
+// Display names for multi-character symbols
+const SYMBOL_NAMES = {
+    '<3': 'heart',
+    ':)': 'smiley',
+    ':(': 'frown',
+    '->': 'right arrow',
+    '<-': 'left arrow',
+};
+
+// Compact 5-row × 3-column font, drawn centered in the 7 rows
+const COMPACT_FONT = {
+    'A': [
+        [0, 1, 0],
+        [1, 0, 1],
+        [1, 1, 1],
+        [1, 0, 1],
+        [1, 0, 1],
+    ],
+    'B': [
+        [1, 1, 0],
+        [1, 0, 1],
+        [1, 1, 0],
+        [1, 0, 1],
+        [1, 1, 0],
+    ],
+    'C': [
+        [0, 1, 1],
+        [1, 0, 0],
+        [1, 0, 0],
+        [1, 0, 0],
+        [0, 1, 1],
+    ],
+    'D': [
+        [1, 1, 0],
+        [1, 0, 1],
+        [1, 0, 1],
+        [1, 0, 1],
+        [1, 1, 0],
+    ],
+    'E': [
+        [1, 1, 1],
+        [1, 0, 0],
+        [1, 1, 0],
+        [1, 0, 0],
+        [1, 1, 1],
+    ],
+    'F': [
+        [1, 1, 1],
+        [1, 0, 0],
+        [1, 1, 0],
+        [1, 0, 0],
+        [1, 0, 0],
+    ],
+    'G': [
+        [0, 1, 1],
+        [1, 0, 0],
+        [1, 0, 1],
+        [1, 0, 1],
+        [0, 1, 1],
+    ],
+    'H': [
+        [1, 0, 1],
+        [1, 0, 1],
+        [1, 1, 1],
+        [1, 0, 1],
+        [1, 0, 1],
+    ],
+    'I': [
+        [1, 1, 1],
+        [0, 1, 0],
+        [0, 1, 0],
+        [0, 1, 0],
+        [1, 1, 1],
+    ],
+    'J': [
+        [0, 0, 1],
+        [0, 0, 1],
+        [0, 0, 1],
+        [1, 0, 1],
+        [0, 1, 0],
+    ],
+    'K': [
+        [1, 0, 1],
+        [1, 0, 1],
+        [1, 1, 0],
+        [1, 0, 1],
+        [1, 0, 1],
+    ],
+    'L': [
+        [1, 0, 0],
+        [1, 0, 0],
+        [1, 0, 0],
+        [1, 0, 0],
+        [1, 1, 1],
+    ],
+    'M': [
+        [1, 0, 1],
+        [1, 1, 1],
+        [1, 1, 1],
+        [1, 0, 1],
+        [1, 0, 1],
+    ],
+    'N': [
+        [1, 1, 0],
+        [1, 0, 1],
+        [1, 0, 1],
+        [1, 0, 1],
+        [1, 0, 1],
+    ],
+    'O': [
+        [0, 1, 0],
+        [1, 0, 1],
+        [1, 0, 1],
+        [1, 0, 1],
+        [0, 1, 0],
+    ],
+    'P': [
+        [1, 1, 0],
+        [1, 0, 1],
+        [1, 1, 0],
+        [1, 0, 0],
+        [1, 0, 0],
+    ],
+    'Q': [
+        [0, 1, 0],
+        [1, 0, 1],
+        [1, 0, 1],
+        [1, 1, 0],
+        [0, 1, 1],
+    ],
+    'R': [
+        [1, 1, 0],
+        [1, 0, 1],
+        [1, 1, 0],
+        [1, 0, 1],
+        [1, 0, 1],
+    ],
+    'S': [
+        [0, 1, 1],
+        [1, 0, 0],
+        [0, 1, 0],
+        [0, 0, 1],
+        [1, 1, 0],
+    ],
+    'T': [
+        [1, 1, 1],
+        [0, 1, 0],
+        [0, 1, 0],
+        [0, 1, 0],
+        [0, 1, 0],
+    ],
+    'U': [
+        [1, 0, 1],
+        [1, 0, 1],
+        [1, 0, 1],
+        [1, 0, 1],
+        [1, 1, 1],
+    ],
+    'V': [
+        [1, 0, 1],
+        [1, 0, 1],
+        [1, 0, 1],
+        [1, 0, 1],
+        [0, 1, 0],
+    ],
+    'W': [
+        [1, 0, 1],
+        [1, 0, 1],
+        [1, 1, 1],
+        [1, 1, 1],
+        [1, 0, 1],
+    ],
+    'X': [
+        [1, 0, 1],
+        [1, 0, 1],
+        [0, 1, 0],
+        [1, 0, 1],
+        [1, 0, 1],
+    ],
+    'Y': [
+        [1, 0, 1],
+        [1, 0, 1],
+        [0, 1, 0],
+        [0, 1, 0],
+        [0, 1, 0],
+    ],
+    'Z': [
+        [1, 1, 1],
+        [0, 0, 1],
+        [0, 1, 0],
+        [1, 0, 0],
+        [1, 1, 1],
+    ],
+    '0': [
+        [1, 1, 1],
+        [1, 0, 1],
+        [1, 0, 1],
+        [1, 0, 1],
+        [1, 1, 1],
+    ],
+    '1': [
+        [0, 1, 0],
+        [1, 1, 0],
+        [0, 1, 0],
+        [0, 1, 0],
+        [1, 1, 1],
+    ],
+    '2': [
+        [1, 1, 0],
+        [0, 0, 1],
+        [0, 1, 0],
+        [1, 0, 0],
+        [1, 1, 1],
+    ],
+    '3': [
+        [1, 1, 0],
+        [0, 0, 1],
+        [0, 1, 0],
+        [0, 0, 1],
+        [1, 1, 0],
+    ],
+    '4': [
+        [1, 0, 1],
+        [1, 0, 1],
+        [1, 1, 1],
+        [0, 0, 1],
+        [0, 0, 1],
+    ],
+    '5': [
+        [1, 1, 1],
+        [1, 0, 0],
+        [1, 1, 0],
+        [0, 0, 1],
+        [1, 1, 0],
+    ],
+    '6': [
+        [0, 1, 1],
+        [1, 0, 0],
+        [1, 1, 1],
+        [1, 0, 1],
+        [1, 1, 1],
+    ],
+    '7': [
+        [1, 1, 1],
+        [0, 0, 1],
+        [0, 1, 0],
+        [0, 1, 0],
+        [0, 1, 0],
+    ],
+    '8': [
+        [1, 1, 1],
+        [1, 0, 1],
+        [1, 1, 1],
+        [1, 0, 1],
+        [1, 1, 1],
+    ],
+    '9': [
+        [1, 1, 1],
+        [1, 0, 1],
+        [1, 1, 1],
+        [0, 0, 1],
+        [1, 1, 0],
+    ],
+    ' ': [
+        [0, 0],
+        [0, 0],
+        [0, 0],
+        [0, 0],
+        [0, 0],
+    ],
+    '!': [
+        [1],
+        [1],
+        [1],
+        [0],
+        [1],
+    ],
+    '.': [
+        [0],
+        [0],
+        [0],
+        [0],
+        [1],
+    ],
+    '-': [
+        [0, 0, 0],
+        [0, 0, 0],
+        [1, 1, 1],
+        [0, 0, 0],
+        [0, 0, 0],
+    ],
+    '_': [
+        [0, 0, 0],
+        [0, 0, 0],
+        [0, 0, 0],
+        [0, 0, 0],
+        [1, 1, 1],
+    ],
     '<3': [
-        [0, 0, 0, 0, 0, 0, 0],
-        [0, 1, 1, 0, 1, 1, 0],
-        [1, 1, 1, 1, 1, 1, 1],
-        [1, 1, 1, 1, 1, 1, 1],
-        [0, 1, 1, 1, 1, 1, 0],
-        [0, 0, 1, 1, 1, 0, 0],
-        [0, 0, 0, 1, 0, 0, 0],
+        [0, 1, 0, 1, 0],
+        [1, 1, 1, 1, 1],
+        [1, 1, 1, 1, 1],
+        [0, 1, 1, 1, 0],
+        [0, 0, 1, 0, 0],
+    ],
+};
+
+// Micro 3-row × 3-column font, two lines stack inside the 7 rows
+const MICRO_FONT = {
+    'A': [
+        [0, 1, 0],
+        [1, 1, 1],
+        [1, 0, 1],
+    ],
+    'B': [
+        [1, 1, 0],
+        [1, 1, 1],
+        [1, 1, 0],
+    ],
+    'C': [
+        [1, 1, 1],
+        [1, 0, 0],
+        [1, 1, 1],
+    ],
+    'D': [
+        [1, 1, 0],
+        [1, 0, 1],
+        [1, 1, 0],
+    ],
+    'E': [
+        [1, 1, 1],
+        [1, 1, 0],
+        [1, 1, 1],
+    ],
+    'F': [
+        [1, 1, 1],
+        [1, 1, 0],
+        [1, 0, 0],
+    ],
+    'G': [
+        [1, 1, 0],
+        [1, 0, 1],
+        [1, 1, 1],
+    ],
+    'H': [
+        [1, 0, 1],
+        [1, 1, 1],
+        [1, 0, 1],
+    ],
+    'I': [
+        [1, 1, 1],
+        [0, 1, 0],
+        [1, 1, 1],
+    ],
+    'J': [
+        [0, 0, 1],
+        [1, 0, 1],
+        [1, 1, 1],
+    ],
+    'K': [
+        [1, 0, 1],
+        [1, 1, 0],
+        [1, 0, 1],
+    ],
+    'L': [
+        [1, 0, 0],
+        [1, 0, 0],
+        [1, 1, 1],
+    ],
+    'M': [
+        [1, 1, 1],
+        [1, 1, 1],
+        [1, 0, 1],
+    ],
+    'N': [
+        [1, 1, 0],
+        [1, 0, 1],
+        [1, 0, 1],
+    ],
+    'O': [
+        [1, 1, 1],
+        [1, 0, 1],
+        [1, 1, 1],
+    ],
+    'P': [
+        [1, 1, 1],
+        [1, 1, 1],
+        [1, 0, 0],
+    ],
+    'Q': [
+        [0, 1, 0],
+        [1, 0, 1],
+        [0, 1, 1],
+    ],
+    'R': [
+        [1, 1, 0],
+        [1, 1, 1],
+        [1, 0, 1],
+    ],
+    'S': [
+        [0, 1, 1],
+        [0, 1, 0],
+        [1, 1, 0],
+    ],
+    'T': [
+        [1, 1, 1],
+        [0, 1, 0],
+        [0, 1, 0],
+    ],
+    'U': [
+        [1, 0, 1],
+        [1, 0, 1],
+        [1, 1, 1],
+    ],
+    'V': [
+        [1, 0, 1],
+        [1, 0, 1],
+        [0, 1, 0],
+    ],
+    'W': [
+        [1, 0, 1],
+        [1, 1, 1],
+        [1, 1, 1],
+    ],
+    'X': [
+        [1, 0, 1],
+        [0, 1, 0],
+        [1, 0, 1],
+    ],
+    'Y': [
+        [1, 0, 1],
+        [0, 1, 0],
+        [0, 1, 0],
+    ],
+    'Z': [
+        [1, 1, 0],
+        [0, 1, 0],
+        [0, 1, 1],
+    ],
+    '0': [
+        [1, 1, 1],
+        [1, 0, 1],
+        [1, 1, 1],
+    ],
+    '1': [
+        [1, 1, 0],
+        [0, 1, 0],
+        [1, 1, 1],
+    ],
+    '2': [
+        [1, 1, 0],
+        [0, 1, 0],
+        [0, 1, 1],
+    ],
+    '3': [
+        [1, 1, 1],
+        [0, 1, 1],
+        [1, 1, 1],
+    ],
+    '4': [
+        [1, 0, 1],
+        [1, 1, 1],
+        [0, 0, 1],
+    ],
+    '5': [
+        [0, 1, 1],
+        [0, 1, 0],
+        [1, 1, 0],
+    ],
+    '6': [
+        [1, 0, 0],
+        [1, 1, 1],
+        [1, 1, 1],
+    ],
+    '7': [
+        [1, 1, 1],
+        [0, 0, 1],
+        [0, 0, 1],
+    ],
+    '8': [
+        [0, 1, 1],
+        [1, 1, 1],
+        [1, 1, 0],
+    ],
+    '9': [
+        [1, 1, 1],
+        [1, 1, 1],
+        [0, 0, 1],
+    ],
+    ' ': [
+        [0, 0],
+        [0, 0],
+        [0, 0],
+    ],
+    '!': [
+        [1],
+        [0],
+        [1],
+    ],
+    '.': [
+        [0],
+        [0],
+        [1],
+    ],
+    '-': [
+        [0, 0, 0],
+        [1, 1, 1],
+        [0, 0, 0],
+    ],
+    '_': [
+        [0, 0, 0],
+        [0, 0, 0],
+        [1, 1, 1],
+    ],
+    '<3': [
+        [1, 0, 1],
+        [1, 1, 1],
+        [0, 1, 0],
     ],
 };
 
+// Font registry: the built-in families plus any font packs registered at runtime
+const FONTS = {
+    standard: { name: 'standard', description: '7×5 (default)', height: 7, glyphs: FONT },
+    compact: { name: 'compact', description: '5×3, about twice as many characters', height: 5, glyphs: COMPACT_FONT },
+    micro: { name: 'micro', description: '3×3, two lines of text', height: 3, glyphs: MICRO_FONT },
+};
+
+// Packs cannot take these names: every render and the width limits rely on them
+const BUILTIN_FONTS = Object.keys(FONTS);
+
+const GRAPH_ROWS = 7;
+// Week columns of the graph (the partial first and last weeks included)
+const GRAPH_COLUMNS = 53;
+const LINE_SEPARATOR = '|';
+
+/**
+ * Get a font family by name (falls back to the standard font)
+ * @param {string} fontName - A registered font name, e.g. 'standard', 'compact' or 'micro'
+ */
+function getFont(fontName = 'standard') {
+    return FONTS[fontName] || FONTS.standard;
+}
+
+/**
+ * Add (or replace) a custom font family in the registry after checking its glyph matrices
+ * @param {{ name: string, description?: string, height: number, glyphs: Object<string, number[][]> }} font
+ * @returns {Object} The registered font
+ */
+function registerFont(font) {
+    if (!font || !font.name || typeof font.name !== 'string') {
+        throw new Error('Font needs a name');
+    }
+    if (BUILTIN_FONTS.includes(font.name)) {
+        throw new Error(`Font '${font.name}' is built in and cannot be replaced. Give the pack another name`);
+    }
+    if (!Number.isInteger(font.height) || font.height < 1 || font.height > GRAPH_ROWS) {
+        throw new Error(`Font '${font.name}' must be 1-${GRAPH_ROWS} rows tall (got ${font.height})`);
+    }
+
+    const glyphs = font.glyphs || {};
+    if (Object.keys(glyphs).length === 0) {
+        throw new Error(`Font '${font.name}' has no glyphs`);
+    }
+    for (const [char, matrix] of Object.entries(glyphs)) {
+        const width = matrix[0] ? matrix[0].length : 0;
+        const valid = matrix.length === font.height &&
+            width > 0 &&
+            matrix.every(row => row.length === width && row.every(v => v === 0 || v === 1));
+        if (!valid) {
+            throw new Error(`Font '${font.name}': glyph '${char}' must be ${font.height} rows of equal width, 0/1 only`);
+        }
+    }
+
+    FONTS[font.name] = {
+        name: font.name,
+        description: font.description || `${font.height}-row custom font`,
+        height: font.height,
+        glyphs,
+    };
+    return FONTS[font.name];
+}
+
+/**
+ * Find the glyph key for a character: exact match first, then its uppercase form
+ */
+function resolveGlyph(char, fontName = 'standard') {
+    const glyphs = getFont(fontName).glyphs;
+    if (glyphs[char]) return char;
+    const upper = char.toUpperCase();
+    return glyphs[upper] ? upper : char;
+}
+
+// How many lines of this font stack inside the 7 rows (with a 1-row gap between lines)
+function getMaxLines(fontName = 'standard') {
+    return Math.max(1, Math.floor((GRAPH_ROWS + 1) / (getFont(fontName).height + 1)));
+}
+
+/**
+ * Get a font's multi-character symbols (glyph keys longer than one character), longest first
+ */
+function getSymbols(fontName = 'standard') {
+    return Object.keys(getFont(fontName).glyphs)
+        .filter(key => Array.from(key).length > 1)
+        .sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Split a line of text into glyph keys, keeping multi-char symbols like '<3' or ':)' together
+ * Symbols are matched greedily (longest first) before falling back to single characters.
+ * @param {string} text - One line of text
+ * @param {string} fontName - Font family
+ * @returns {string[]} Glyph keys (unsupported characters are kept so callers can report them)
+ */
+function tokenize(text, fontName = 'standard') {
+    const symbols = getSymbols(fontName);
+    const tokens = [];
+    let offset = 0;
+
+    while (offset < text.length) {
+        const symbol = symbols.find(key => text.startsWith(key, offset));
+        if (symbol) {
+            tokens.push(symbol);
+            offset += symbol.length;
+            continue;
+        }
+        const char = String.fromCodePoint(text.codePointAt(offset));
+        tokens.push(resolveGlyph(char, fontName));
+        offset += char.length;
+    }
+    return tokens;
+}
+
 // Character width (columns) including 1-column gap
-function getCharWidth(char) {
-    const upperChar = char.toUpperCase();
-    if (upperChar === '<3') return FONT['<3'][0].length + 1;
-    const matrix = FONT[upperChar];
+function getCharWidth(char, fontName = 'standard') {
+    const matrix = getFont(fontName).glyphs[resolveGlyph(char, fontName)];
     if (!matrix) return 0;
     return matrix[0].length + 1; // +1 for gap between characters
 }
 
-// Calculate max characters that fit in the graph (52 weeks)
-function getMaxChars(text) {
-    const MAX_WEEKS = 52;
+/**
+ * Calculate max characters that fit in the graph (all 53 week columns by default)
+ * @param {string} text - One line of text
+ * @param {string} fontName - Font family
+ * @param {number} letterSpacing - Empty columns between characters (default 1)
+ * @param {number} maxWidth - Columns available (default 53)
+ * @returns {{ count: number, totalWidth: number }} totalWidth includes the trailing spacing
+ */
+function getMaxChars(text, fontName = 'standard', letterSpacing = 1, maxWidth = GRAPH_COLUMNS) {
     let totalWidth = 0;
     let count = 0;
-    const chars = text.toUpperCase().split('');
+    const chars = tokenize(text, fontName);
 
     for (const char of chars) {
-        const w = getCharWidth(char);
-        if (totalWidth + w - 1 > MAX_WEEKS) break; // -1 because last char doesn't need gap
-        totalWidth += w;
+        const glyphWidth = Math.max(0, getCharWidth(char, fontName) - 1);
+        if (totalWidth + glyphWidth > maxWidth) break; // last char doesn't need spacing
+        totalWidth += glyphWidth > 0 ? glyphWidth + letterSpacing : 0;
         count++;
     }
     return { count, totalWidth };
 }
 
-// Calculate how many characters of standard width (6) fit
-function getMaxStandardChars() {
-    return Math.floor(52 / 6); // = 8 characters
+// Calculate how many characters of standard width (letter width + gap) fit per line
+// Packs without an 'A' are measured by their widest glyph
+function getMaxStandardChars(fontName = 'standard') {
+    const widest = Math.max(...Object.values(getFont(fontName).glyphs).map(matrix => matrix[0].length + 1));
+    return Math.floor(GRAPH_COLUMNS / (getCharWidth('A', fontName) || widest)); // = 8 characters for the standard font
 }
 
-module.exports = { FONT, getCharWidth, getMaxChars, getMaxStandardChars };
+module.exports = {
+    GRAPH_COLUMNS,
+    FONT,
+    FONTS,
+    SYMBOL_NAMES,
+    LINE_SEPARATOR,
+    getFont,
+    registerFont,
+    resolveGlyph,
+    getSymbols,
+    getMaxLines,
+    tokenize,
+    getCharWidth,
+    getMaxChars,
+    getMaxStandardChars
+};
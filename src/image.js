@@ -0,0 +1,371 @@
+/**
+ * Image Module
+ * Decodes PBM, PGM and PNG files in pure JS and converts them into
+ * a 7-row pixel matrix that the planner can place on the graph
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const GRAPH_ROWS = 7;
+const MAX_LEVEL = 4;
+const MAX_GRAPH_COLUMNS = 53;
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// ─── Netpbm (PBM / PGM) ──────────────────────────────────────────────
+
+/**
+ * Read whitespace-separated header tokens, skipping '#' comments
+ * @returns {{ tokens: string[], offset: number }} offset = first byte after the header
+ */
+function readNetpbmHeader(buffer, count) {
+    const tokens = [];
+    let offset = 0;
+    let current = '';
+
+    while (offset < buffer.length && tokens.length < count) {
+        const ch = String.fromCharCode(buffer[offset]);
+        if (ch === '#') {
+            while (offset < buffer.length && buffer[offset] !== 0x0a) offset++;
+            continue;
+        }
+        if (/\s/.test(ch)) {
+            if (current) {
+                tokens.push(current);
+                current = '';
+            }
+        } else {
+            current += ch;
+        }
+        offset++;
+    }
+
+    // Exactly one whitespace byte separates the header from binary data
+    return { tokens, offset };
+}
+
+/**
+ * Decode a PBM (P1 ascii / P4 binary) or PGM (P2 ascii / P5 binary) image
+ * @param {Buffer} buffer - File contents
+ * @returns {{ width: number, height: number, gray: number[] }} gray = 0 (black) … 255 (white)
+ */
+function decodeNetpbm(buffer) {
+    const magic = buffer.toString('ascii', 0, 2);
+    const isBitmap = magic === 'P1' || magic === 'P4';
+    const headerSize = isBitmap ? 3 : 4;
+    const { tokens, offset } = readNetpbmHeader(buffer, headerSize);
+
+    const width = parseInt(tokens[1], 10);
+    const height = parseInt(tokens[2], 10);
+    const maxVal = isBitmap ? 1 : parseInt(tokens[3], 10);
+    if (!(width > 0) || !(height > 0) || !(maxVal > 0)) {
+        throw new Error(`Invalid ${magic} header`);
+    }
+
+    const gray = new Array(width * height);
+    // A short file would otherwise decode its missing pixels as white (or NaN)
+    const checkLength = (available, needed, unit) => {
+        if (available < needed) {
+            throw new Error(`Truncated ${magic} image: ${width}×${height} needs ${needed} ${unit}, found ${available}`);
+        }
+    };
+
+    if (magic === 'P1') {
+        // Ascii bitmap digits may be packed without whitespace
+        const digits = buffer.toString('ascii', offset).replace(/#.*$/gm, '').replace(/[^01]/g, '');
+        checkLength(digits.length, gray.length, 'samples');
+        for (let i = 0; i < gray.length; i++) {
+            gray[i] = digits[i] === '1' ? 0 : 255;
+        }
+    } else if (magic === 'P4') {
+        const rowBytes = Math.ceil(width / 8);
+        checkLength(buffer.length - offset, rowBytes * height, 'bytes');
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const byte = buffer[offset + y * rowBytes + (x >> 3)];
+                const bit = (byte >> (7 - (x & 7))) & 1;
+                gray[y * width + x] = bit ? 0 : 255;
+            }
+        }
+    } else if (magic === 'P2') {
+        const values = buffer.toString('ascii', offset).replace(/#.*$/gm, '').split(/\s+/).filter(Boolean);
+        checkLength(values.length, gray.length, 'samples');
+        for (let i = 0; i < gray.length; i++) {
+            gray[i] = Math.round((parseInt(values[i], 10) / maxVal) * 255);
+        }
+    } else {
+        const bytesPerSample = maxVal > 255 ? 2 : 1;
+        checkLength(buffer.length - offset, gray.length * bytesPerSample, 'bytes');
+        for (let i = 0; i < gray.length; i++) {
+            const pos = offset + i * bytesPerSample;
+            const value = bytesPerSample === 2 ? buffer.readUInt16BE(pos) : buffer[pos];
+            gray[i] = Math.round((value / maxVal) * 255);
+        }
+    }
+
+    return { width, height, gray };
+}
+
+// ─── PNG ─────────────────────────────────────────────────────────────
+
+function paeth(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) return a;
+    if (pb <= pc) return b;
+    return c;
+}
+
+/**
+ * Reverse the per-scanline PNG filters in place
+ */
+function unfilterScanlines(raw, height, rowBytes, bpp) {
+    const out = Buffer.alloc(height * rowBytes);
+
+    for (let y = 0; y < height; y++) {
+        const filter = raw[y * (rowBytes + 1)];
+        const src = y * (rowBytes + 1) + 1;
+        const dst = y * rowBytes;
+        const prev = dst - rowBytes;
+
+        for (let x = 0; x < rowBytes; x++) {
+            const value = raw[src + x];
+            const left = x >= bpp ? out[dst + x - bpp] : 0;
+            const up = y > 0 ? out[prev + x] : 0;
+            const upLeft = y > 0 && x >= bpp ? out[prev + x - bpp] : 0;
+
+            let result;
+            switch (filter) {
+                case 0: result = value; break;
+                case 1: result = value + left; break;
+                case 2: result = value + up; break;
+                case 3: result = value + ((left + up) >> 1); break;
+                case 4: result = value + paeth(left, up, upLeft); break;
+                default: throw new Error(`Unknown PNG filter type ${filter}`);
+            }
+            out[dst + x] = result & 0xff;
+        }
+    }
+
+    return out;
+}
+
+/**
+ * Decode a non-interlaced PNG of any standard color type and bit depth
+ * Transparent pixels are composited over white (i.e. treated as empty)
+ * @param {Buffer} buffer - File contents
+ * @returns {{ width: number, height: number, gray: number[] }}
+ */
+function decodePng(buffer) {
+    if (!buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+        throw new Error('Not a PNG file');
+    }
+
+    let width = 0, height = 0, bitDepth = 0, colorType = 0, interlace = 0;
+    let palette = null;
+    let paletteAlpha = null;
+    const idat = [];
+
+    let offset = 8;
+    while (offset < buffer.length) {
+        // A short file would otherwise fail with Node's RangeError, or decode as blank
+        if (offset + 12 > buffer.length) {
+            throw new Error(`Truncated PNG image: a chunk at byte ${offset} needs at least 12 bytes, found ${buffer.length - offset}`);
+        }
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('ascii', offset + 4, offset + 8);
+        if (offset + 12 + length > buffer.length) {
+            throw new Error(`Truncated PNG image: the ${type} chunk at byte ${offset} needs ${12 + length} bytes, found ${buffer.length - offset}`);
+        }
+        const data = buffer.subarray(offset + 8, offset + 8 + length);
+        offset += 12 + length;
+
+        if (type === 'IHDR') {
+            if (length !== 13) throw new Error(`Invalid PNG IHDR chunk: ${length} bytes instead of 13`);
+            width = data.readUInt32BE(0);
+            height = data.readUInt32BE(4);
+            bitDepth = data[8];
+            colorType = data[9];
+            interlace = data[12];
+        } else if (type === 'PLTE') {
+            palette = data;
+        } else if (type === 'tRNS') {
+            paletteAlpha = data;
+        } else if (type === 'IDAT') {
+            idat.push(data);
+        } else if (type === 'IEND') {
+            break;
+        }
+    }
+
+    if (!(width > 0) || !(height > 0)) {
+        throw new Error('Invalid PNG header: no IHDR chunk with a width and height');
+    }
+    if (interlace !== 0) {
+        throw new Error('Interlaced PNG files are not supported, please re-save without interlacing');
+    }
+
+    const channels = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[colorType];
+    if (!channels) throw new Error(`Unsupported PNG color type ${colorType}`);
+    if (colorType === 3 && !palette) throw new Error('Palette PNG is missing its PLTE chunk');
+
+    const bitsPerPixel = channels * bitDepth;
+    const bpp = Math.max(1, bitsPerPixel >> 3);
+    const rowBytes = Math.ceil((width * bitsPerPixel) / 8);
+    const raw = zlib.inflateSync(Buffer.concat(idat));
+    // Every scanline starts with its filter type byte
+    if (raw.length < height * (rowBytes + 1)) {
+        throw new Error(`Truncated PNG image: ${width}×${height} needs ${height * (rowBytes + 1)} bytes of pixel data, found ${raw.length}`);
+    }
+    const pixels = unfilterScanlines(raw, height, rowBytes, bpp);
+
+    const maxSample = (1 << bitDepth) - 1;
+    const readSample = (row, index) => {
+        if (bitDepth === 16) return pixels.readUInt16BE(row + index * 2);
+        if (bitDepth === 8) return pixels[row + index];
+        const bitOffset = index * bitDepth;
+        const byte = pixels[row + (bitOffset >> 3)];
+        return (byte >> (8 - bitDepth - (bitOffset & 7))) & maxSample;
+    };
+
+    const gray = new Array(width * height);
+    for (let y = 0; y < height; y++) {
+        const row = y * rowBytes;
+        for (let x = 0; x < width; x++) {
+            let r, g, b, a = 1;
+            if (colorType === 3) {
+                const index = readSample(row, x);
+                r = palette[index * 3] / 255;
+                g = palette[index * 3 + 1] / 255;
+                b = palette[index * 3 + 2] / 255;
+                if (paletteAlpha && index < paletteAlpha.length) a = paletteAlpha[index] / 255;
+            } else {
+                const base = x * channels;
+                const samples = [];
+                for (let c = 0; c < channels; c++) samples.push(readSample(row, base + c) / maxSample);
+                if (colorType === 0 || colorType === 4) {
+                    r = g = b = samples[0];
+                    if (colorType === 4) a = samples[1];
+                } else {
+                    [r, g, b] = samples;
+                    if (colorType === 6) a = samples[3];
+                }
+            }
+            const luminance = 0.299 * r + 0.587 * g + 0.114 * b;
+            gray[y * width + x] = Math.round((luminance * a + (1 - a)) * 255);
+        }
+    }
+
+    return { width, height, gray };
+}
+
+// ─── Loading & Conversion ────────────────────────────────────────────
+
+/**
+ * Load and decode an image file, detecting the format from its magic bytes
+ * @param {string} filePath - Path to a .pbm, .pgm or .png file
+ * @returns {{ width: number, height: number, gray: number[] }}
+ */
+function loadImage(filePath) {
+    const buffer = fs.readFileSync(filePath);
+
+    if (buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+        return decodePng(buffer);
+    }
+    if (/^P[1245]\s/.test(buffer.toString('ascii', 0, 3))) {
+        return decodeNetpbm(buffer);
+    }
+
+    throw new Error(`Unsupported image format: ${path.basename(filePath)} (use PBM, PGM or PNG)`);
+}
+
+/**
+ * Resample a grayscale image by averaging the source pixels under each target cell
+ */
+function resample(image, targetWidth, targetHeight) {
+    const out = [];
+    const scaleX = image.width / targetWidth;
+    const scaleY = image.height / targetHeight;
+    const samplesX = Math.max(1, Math.ceil(scaleX));
+    const samplesY = Math.max(1, Math.ceil(scaleY));
+
+    for (let y = 0; y < targetHeight; y++) {
+        const row = [];
+        for (let x = 0; x < targetWidth; x++) {
+            let sum = 0;
+            for (let sy = 0; sy < samplesY; sy++) {
+                const srcY = Math.min(image.height - 1, Math.floor((y + (sy + 0.5) / samplesY) * scaleY));
+                for (let sx = 0; sx < samplesX; sx++) {
+                    const srcX = Math.min(image.width - 1, Math.floor((x + (sx + 0.5) / samplesX) * scaleX));
+                    sum += image.gray[srcY * image.width + srcX];
+                }
+            }
+            row.push(sum / (samplesX * samplesY));
+        }
+        out.push(row);
+    }
+
+    return out;
+}
+
+/**
+ * Convert an image into a 7-row matrix of GitHub levels (dark = filled)
+ * @param {{ width: number, height: number, gray: number[] }} image - Decoded image
+ * @param {Object} options
+ * @param {number} options.width - Target columns (default: keep aspect ratio, max 53)
+ * @param {'threshold'|'dither'} options.mode - Thresholding or Floyd–Steinberg dithering
+ * @param {number} options.threshold - Gray cut-off 0–255 for binary output (default 128)
+ * @param {boolean} options.invert - Treat light pixels as filled instead
+ * @param {boolean} options.shades - Quantize to all levels 0–4 instead of 0/4
+ * @returns {number[][]} 7×W matrix of levels
+ */
+function imageToPixels(image, { width = null, mode = 'threshold', threshold = 128, invert = false, shades = false } = {}) {
+    const targetWidth = Math.min(
+        MAX_GRAPH_COLUMNS,
+        Math.max(1, width || Math.round((image.width * GRAPH_ROWS) / image.height))
+    );
+    const gray = resample(image, targetWidth, GRAPH_ROWS);
+
+    // Work in "ink" space: 255 = fully filled
+    const ink = gray.map(row => row.map(v => (invert ? v : 255 - v)));
+    const cutoff = 255 - threshold;
+    const pixels = Array.from({ length: GRAPH_ROWS }, () => Array(targetWidth).fill(0));
+    const quantize = shades
+        ? (value) => Math.max(0, Math.min(MAX_LEVEL, Math.round((value / 255) * MAX_LEVEL)))
+        : (value) => (value >= cutoff ? MAX_LEVEL : 0);
+
+    for (let y = 0; y < GRAPH_ROWS; y++) {
+        for (let x = 0; x < targetWidth; x++) {
+            const value = ink[y][x];
+            const level = quantize(value);
+            pixels[y][x] = level;
+
+            if (mode === 'dither') {
+                const error = value - (level / MAX_LEVEL) * 255;
+                if (x + 1 < targetWidth) ink[y][x + 1] += error * 7 / 16;
+                if (y + 1 < GRAPH_ROWS) {
+                    if (x > 0) ink[y + 1][x - 1] += error * 3 / 16;
+                    ink[y + 1][x] += error * 5 / 16;
+                    if (x + 1 < targetWidth) ink[y + 1][x + 1] += error * 1 / 16;
+                }
+            }
+        }
+    }
+
+    return pixels;
+}
+
+/**
+ * Load an image file straight into a 7-row matrix of levels
+ * @param {string} filePath - Path to the image
+ * @param {Object} options - See imageToPixels
+ * @returns {number[][]}
+ */
+function loadImagePixels(filePath, options = {}) {
+    return imageToPixels(loadImage(filePath), options);
+}
+
+module.exports = { loadImage, decodePng, decodeNetpbm, imageToPixels, loadImagePixels };
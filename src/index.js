@@ -9,37 +9,145 @@
  *   node src/index.js --preview    # Quick preview mode
  *   node src/index.js --plan       # Show plan details
  *   node src/index.js --run        # Execute commits (non-interactive)
+ *   node src/index.js --verify     # Compare the live graph with the plan
+ *   node src/index.js --reconcile  # Rebuild the tracker from the art repo's history
+ *   node src/index.js --undo-batch # Roll back the last batch
  */
 
 const inquirer = require('inquirer');
 const chalk = require('chalk');
 const path = require('path');
 const fs = require('fs');
-const { FONT, getMaxStandardChars } = require('./fonts');
 const {
-    generatePlan,
-    buildGrid,
-    getPlanStats
+    FONTS,
+    SYMBOL_NAMES,
+    LINE_SEPARATOR,
+    getFont,
+    getMaxLines,
+    getSymbols,
+    tokenize,
+    getMaxStandardChars
+} = require('./fonts');
+const { ALIGNMENTS, layoutText, describeOverflow } = require('./layout');
+const { loadFontPacks } = require('./font-loader');
+const {
+    generatePixelPlan,
+    rasterizeText,
+    findConflicts,
+    optimizePlacement,
+    getPlanStats,
+    getCanvas,
+    formatDate
 } = require('./planner');
-const { renderGrid, renderStats, printBanner } = require('./renderer');
-const { initRepo, makeCommits, pushToRemote } = require('./committer');
-const { loadTracker, saveTracker, markCompleted, getPending, resetTracker } = require('./tracker');
+const { loadImagePixels } = require('./image');
+const { renderGrid, renderStats, renderSimulation, renderOverlay, printBanner } = require('./renderer');
+const { simulateGraph, findMissedPixels, simulateOverlay } = require('./simulator');
+const {
+    initRepo,
+    getRepoIdentity,
+    checkIdentity,
+    makeCommits,
+    fastImportCommits,
+    pushToRemote,
+    getHead,
+    resetToCommit,
+    forcePush,
+    countCommitsByDate,
+    countUnpushed,
+    getUpstream,
+    listCommits,
+    rewriteHistory
+} = require('./committer');
+const {
+    loadTracker,
+    saveTracker,
+    markCompleted,
+    claimTracker,
+    releaseTracker,
+    getEntryStatuses,
+    getPending,
+    reconcileTracker,
+    loadBatches,
+    recordBatch,
+    undoBatch,
+    resetTracker
+} = require('./tracker');
 const { scrapeContributions } = require('./scraper');
+const { validateStreak, planStreak } = require('./streak');
+const { DEFAULT_HOUR_WINDOW, getLocalTimezone, isValidTimezone, validateHourWindow, toIsoDate, findRollovers } = require('./timezone');
+const { DEFAULT_MESSAGE_TEMPLATE, validateTemplate, loadCorpus, validateTargetFiles } = require('./templates');
+const { validateProfile, getProfileWindow } = require('./profiles');
+const { verifyPlan, planCorrections } = require('./verifier');
+const { DEFAULT_PROJECT, getProjects, getPlanFingerprint } = require('./projects');
+const { acquireLock } = require('./lock');
+const { backupLocal } = require('./backup');
+const { findChangedDays, createSelector, countErasedByDay } = require('./eraser');
 
 require('dotenv').config();
 
 const CONFIG_FILE = path.join(process.cwd(), 'config.json');
 
 // ─── Available Characters Display ────────────────────────────────────
-function showAvailableChars() {
-    const chars = Object.keys(FONT).filter(c => c !== '<3');
-    console.log(chalk.gray('  Available characters:'));
+function showAvailableChars(fontName) {
+    const font = getFont(fontName);
+    const symbols = getSymbols(font.name);
+    const chars = Object.keys(font.glyphs).filter(c => !symbols.includes(c));
+    console.log(chalk.gray(`  Available characters (${font.name} font):`));
     console.log(chalk.cyan(`  ${chars.join(' ')}`));
-    console.log(chalk.cyan('  <3') + chalk.gray(' (heart symbol)'));
+    for (const symbol of symbols) {
+        console.log(chalk.cyan(`  ${symbol}`) + chalk.gray(` (${SYMBOL_NAMES[symbol] || 'symbol'})`));
+    }
+    if (getMaxLines(font.name) > 1) {
+        console.log(chalk.gray(`  Separate lines with '${LINE_SEPARATOR}' (up to ${getMaxLines(font.name)} lines)`));
+    }
     console.log('');
 }
 
+/**
+ * Check that a text can be drawn: supported characters, and a layout that fits the graph
+ * @param {string} input - Text, lines separated by '|'
+ * @param {Object} layoutOptions - Options for layoutText (font, letterSpacing, align, startWeek, autoFit)
+ * @returns {true|string} true, or an error message for the prompt
+ */
+function validateText(input, layoutOptions) {
+    if (!input || input.trim().length === 0) {
+        return 'Please enter at least 1 character';
+    }
+    const font = getFont(layoutOptions.font);
+
+    // Check all characters are supported
+    for (const line of input.trim().split(LINE_SEPARATOR)) {
+        const unsupported = tokenize(line, font.name).find(char => !font.glyphs[char]);
+        if (unsupported) {
+            return `Character '${unsupported}' is not supported by the ${font.name} font`;
+        }
+    }
+
+    // Check the real pixel width (after auto-fit, if enabled) fits the graph
+    const layout = layoutText(input.trim(), layoutOptions);
+    if (!layout.fits) {
+        return describeOverflow(layout).join('; ');
+    }
+    return true;
+}
+
+// ─── Font Packs ─────────────────────────────────────────────────────
+/**
+ * Register the font packs in fonts/ and in config.fontPaths (relative to the project)
+ */
+function loadFonts(config) {
+    const projectDir = path.join(__dirname, '..');
+    const fontPaths = (config?.fontPaths || []).map(p => path.resolve(projectDir, p));
+    const { errors } = loadFontPacks(fontPaths);
+
+    for (const { file, message } of errors) {
+        console.log(chalk.yellow(`  ⚠️  Skipping font pack ${path.basename(file)}: ${message}`));
+    }
+}
+
 // ─── Config Management ──────────────────────────────────────────────
+const DATA_DIR = path.join(__dirname, '..', 'data');
+
 function loadConfig() {
     const configPath = path.join(__dirname, '..', 'config.json');
     if (fs.existsSync(configPath)) {
@@ -53,54 +161,375 @@ function saveConfig(config) {
     fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
 }
 
+/**
+ * Run a task that commits or rewrites trackers while holding the run lock
+ * A second run (e.g. the timer firing during a long batch) exits cleanly instead of
+ * committing the same days twice.
+ * @param {Function} task - Async work to do under the lock
+ * @returns {Promise<boolean>} false when another run holds the lock
+ */
+async function withRunLock(task) {
+    const { release, holder } = acquireLock(path.join(DATA_DIR, 'run.lock'));
+    if (!release) {
+        const since = holder?.startedAt ? ` since ${holder.startedAt}` : '';
+        console.log(chalk.yellow(`  ⚠️  Another run is in progress (PID ${holder?.pid ?? '?'}${since}). Exiting without committing.`));
+        console.log(chalk.gray(`  If no run is active, delete ${path.join(DATA_DIR, 'run.lock')}.`));
+        console.log('');
+        return false;
+    }
+
+    try {
+        await task();
+        return true;
+    } finally {
+        release();
+    }
+}
+
+/**
+ * Load the config of one project (see projects.js)
+ * @param {string} name - Project name (default: the art at the top of config.json)
+ * @returns {Object|null} Project config with `name` and `dataDir`, or null when there is no config
+ */
+function loadProject(name = DEFAULT_PROJECT) {
+    const config = loadConfig();
+    if (!config) return null;
+
+    const projects = getProjects(config, DATA_DIR);
+    const project = projects.find(p => p.name === name);
+    if (!project) {
+        throw new Error(`No project '${name}' in config.json. Projects: ${projects.map(p => p.name).join(', ')}`);
+    }
+    return project;
+}
+
+// ─── Plan Generation ────────────────────────────────────────────────
+// Shading presets for text (levels 1–4, see shadePixels in planner.js)
+const TEXT_EFFECTS = {
+    solid: { level: 4 },
+    shadow: { level: 4, shadow: 2 },
+    'gradient-vertical': { level: 4, gradient: 'vertical' },
+    'gradient-horizontal': { level: 4, gradient: 'horizontal' },
+};
+
+/**
+ * Layout and shading options of a text config (see rasterizeText)
+ */
+function getTextOptions(config) {
+    return {
+        ...(TEXT_EFFECTS[config.textEffect] || TEXT_EFFECTS.solid),
+        font: config.font,
+        align: config.align,
+        letterSpacing: config.letterSpacing ?? 1,
+        autoFit: config.autoFit,
+    };
+}
+
+/**
+ * Rasterize the art described by a config, from its text or its image file
+ * @param {Object} config - Saved (or in-progress) config
+ * @returns {{ pixels: number[][], labels: string[][]|string, startWeek: number }}
+ *   pixel matrix of levels, its labels and the week of its first column
+ */
+function getConfiguredArt(config) {
+    if (config.source === 'image') {
+        const pixels = loadImagePixels(config.imagePath, {
+            mode: config.imageMode,
+            threshold: config.imageThreshold,
+            invert: config.imageInvert,
+            shades: config.imageShades,
+        });
+        return { pixels, labels: 'img', startWeek: config.startWeek };
+    }
+
+    if (config.font && !FONTS[config.font]) {
+        throw new Error(`Font '${config.font}' is not installed. Add its pack to fonts/ or config.fontPaths`);
+    }
+
+    const options = getTextOptions(config);
+
+    // Refuse up front rather than silently truncating the art
+    const layout = layoutText(config.text, { ...options, startWeek: config.startWeek });
+    if (!layout.fits) {
+        throw new Error(`Text does not fit on the graph: ${describeOverflow(layout).join('; ')}`);
+    }
+    return { ...rasterizeText(config.text, config.startWeek, options), startWeek: 0 };
+}
+
+/**
+ * Generate the plan described by a config
+ * @param {Object} config - Saved (or in-progress) config
+ * @param {boolean} withBackground - Include background padding and scraped normalization
+ */
+function generateConfiguredPlan(config, withBackground = true) {
+    const globalBackgroundLevel = withBackground ? config.globalBackgroundLevel : null;
+    const scrapedExisting = withBackground ? config.scrapedExisting : {};
+    const art = getConfiguredArt(config);
+
+    return generatePixelPlan(art.pixels, getConfigRange(config), config.commitsPerPixel, art.startWeek, globalBackgroundLevel, scrapedExisting, art.labels);
+}
+
+/**
+ * Rank the start weeks (and, for text, alignments) of a config's art against its scraped contributions
+ * @param {Object} config - Saved (or in-progress) config
+ * @returns {Array} Candidates of optimizePlacement, best first
+ */
+function rankPlacements(config) {
+    const art = config.source === 'image'
+        ? { pixels: getConfiguredArt({ ...config, startWeek: 0 }).pixels }
+        : { text: config.text };
+    const alignments = config.source === 'image'
+        ? []
+        : [config.align, ...ALIGNMENTS.filter(a => a !== config.align)];
+
+    return optimizePlacement(art, getConfigRange(config), config.commitsPerPixel, config.globalBackgroundLevel,
+        config.scrapedExisting || {}, { ...getTextOptions(config), alignments });
+}
+
+/**
+ * Options for generating the commits of a config (see describeCommit)
+ * @throws {Error} When the timezone, hour window or time profile is invalid
+ */
+function getCommitOptions(config) {
+    const timezone = config.timezone || getLocalTimezone();
+    if (!isValidTimezone(timezone)) {
+        throw new Error(`Unknown timezone '${timezone}'. Use an IANA name such as 'Europe/Berlin' or 'UTC'`);
+    }
+    const hourWindow = config.hourWindow || DEFAULT_HOUR_WINDOW;
+    validateHourWindow(hourWindow);
+
+    const author = config.authorEmail ? { name: config.authorName || '', email: config.authorEmail } : null;
+
+    const timeProfile = config.timeProfile || 'even';
+    validateProfile(timeProfile, hourWindow);
+
+    const options = { timezone, hourWindow, timeProfile, author, seed: config.seed };
+    if (config.messageTemplate) {
+        validateTemplate(config.messageTemplate, 'messageTemplate');
+        options.messageTemplate = config.messageTemplate;
+    }
+    if (config.contentTemplate) {
+        validateTemplate(config.contentTemplate, 'contentTemplate');
+        options.contentTemplate = config.contentTemplate;
+    }
+    if (config.messageCorpus) {
+        options.messages = loadCorpus(config.messageCorpus, path.join(__dirname, '..'));
+    }
+    if (config.targetFiles) {
+        validateTargetFiles(config.targetFiles);
+        options.targetFiles = config.targetFiles;
+    }
+
+    return options;
+}
+
+/**
+ * Warn about plan days whose commit hours fall on another day in UTC
+ */
+function warnRollovers(config, plan) {
+    const { timezone, hourWindow } = getCommitOptions(config);
+    const rollovers = findRollovers(plan.map(entry => entry.date), timezone, hourWindow);
+    if (rollovers.length === 0) return;
+
+    const [first] = rollovers;
+    console.log(chalk.yellow(`  ⚠️  ${rollovers.length} day(s) have commit hours (${hourWindow[0]}:00–${hourWindow[1]}:00 ${timezone}) that fall on another day in UTC (e.g. ${first.date} → ${first.utcDate}).`));
+    console.log(chalk.yellow('  If your GitHub profile is not set to this timezone those pixels will shift. Narrow hourWindow to keep them in place.'));
+    console.log('');
+}
+
+/**
+ * Warn about pixels GitHub will show at another level than the art asks for (see solveLevelTargets)
+ */
+function warnMissedShades(config, simulation) {
+    const art = getConfiguredArt(config);
+    const missed = findMissedPixels(simulation, art.pixels, art.startWeek);
+    if (missed.length === 0) return;
+
+    const [first] = missed;
+    console.log(chalk.yellow(`  ⚠️  ${missed.length} pixel(s) will show at another level than the art asks for (e.g. week ${first.col}: level ${first.shown} instead of ${first.level}).`));
+    console.log(chalk.yellow('  GitHub shades days by the quartiles of all active days, so at most about a quarter of them can be level 4 and a background leaves room for two shades. Use fewer shades, or more of the lighter ones.'));
+    console.log('');
+}
+
+/**
+ * Show the before/after overlay of a config against its scraped contributions
+ * @param {Object} config - Saved (or in-progress) config
+ * @param {Array} plan - The config's plan (with background)
+ * @returns {Array} The conflicting days
+ */
+function showOverlay(config, plan) {
+    const range = getConfigRange(config);
+    const scrapedExisting = config.scrapedExisting || {};
+    const art = getConfiguredArt(config);
+    const conflicts = findConflicts(art.pixels, range, config.commitsPerPixel, art.startWeek, config.globalBackgroundLevel, scrapedExisting);
+
+    renderOverlay(simulateOverlay(plan, art.pixels, art.startWeek, scrapedExisting, range, conflicts), range);
+    return conflicts;
+}
+
+/**
+ * The canvas a config draws on: its calendar year, or the rolling 12 months ending at endDate
+ */
+function getConfigRange(config) {
+    return config.canvas === 'rolling' ? { endDate: config.endDate } : config.year;
+}
+
+function describeRange(config) {
+    return getCanvas(getConfigRange(config)).label;
+}
+
+function describeArt(config) {
+    return config.source === 'image' ? path.basename(config.imagePath) : config.text;
+}
+
 // ─── Interactive Mode ───────────────────────────────────────────────
 async function interactiveMode() {
     printBanner();
 
     const existingConfig = loadConfig();
-    const maxChars = getMaxStandardChars();
     const currentYear = new Date().getFullYear();
 
+    // Step 1: Text or image
+    const { source } = await inquirer.prompt([
+        {
+            type: 'list',
+            name: 'source',
+            message: chalk.cyan('What do you want to draw?'),
+            choices: [
+                { name: 'Text (pixel font)', value: 'text' },
+                { name: 'Image file (PBM, PGM or PNG)', value: 'image' },
+            ],
+            default: existingConfig?.source || 'text',
+        },
+    ]);
+
+    let imagePath = null;
+    let imageMode = existingConfig?.imageMode || 'threshold';
+    let imageShades = existingConfig?.imageShades || false;
+
+    if (source === 'image') {
+        ({ imagePath, imageMode, imageShades } = await inquirer.prompt([
+            {
+                type: 'input',
+                name: 'imagePath',
+                message: chalk.cyan('Path to the image (scaled to 7 rows):'),
+                default: existingConfig?.imagePath || '',
+                filter: (input) => path.resolve(input.trim()),
+                validate: (input) => {
+                    try {
+                        loadImagePixels(input);
+                        return true;
+                    } catch (err) {
+                        return `Could not read image: ${err.message}`;
+                    }
+                },
+            },
+            {
+                type: 'list',
+                name: 'imageMode',
+                message: chalk.cyan('How should gray tones be converted?'),
+                choices: [
+                    { name: 'Threshold (crisp edges, best for logos)', value: 'threshold' },
+                    { name: 'Dither (Floyd–Steinberg, best for shading)', value: 'dither' },
+                ],
+                default: imageMode,
+            },
+            {
+                type: 'confirm',
+                name: 'imageShades',
+                message: chalk.cyan('Use all four green shades (instead of on/off pixels)?'),
+                default: imageShades,
+            },
+        ]));
+    }
+
+    // Step 1b: Pick a font and layout
+    const { font = 'standard', align = 'left', letterSpacing = 1, autoFit = false } = await inquirer.prompt([
+        {
+            type: 'list',
+            name: 'font',
+            when: source === 'text',
+            message: chalk.cyan('Font:'),
+            choices: Object.values(FONTS).map(f => ({ name: `${f.name} — ${f.description}`, value: f.name })),
+            default: existingConfig?.font || 'standard',
+        },
+        {
+            type: 'list',
+            name: 'align',
+            when: source === 'text',
+            message: chalk.cyan('Alignment (within the columns after the start week):'),
+            choices: ALIGNMENTS,
+            default: existingConfig?.align || 'left',
+        },
+        {
+            type: 'number',
+            name: 'letterSpacing',
+            when: source === 'text',
+            message: chalk.cyan('Empty columns between letters:'),
+            default: existingConfig?.letterSpacing ?? 1,
+            validate: (input) => {
+                if (!Number.isInteger(input) || input < 0 || input > 5) return 'Please enter 0-5';
+                return true;
+            },
+        },
+        {
+            type: 'confirm',
+            name: 'autoFit',
+            when: source === 'text',
+            message: chalk.cyan('Auto-shrink (tighter spacing, smaller font) if the text is too wide?'),
+            default: existingConfig?.autoFit || false,
+        },
+    ]);
+    const layoutOptions = { font, align, letterSpacing, autoFit };
+
     // Show available characters
-    showAvailableChars();
+    if (source === 'text') showAvailableChars(font);
 
-    // Step 1: Get text input
-    const { text } = await inquirer.prompt([
+    // Step 1c: Get text input
+    const maxChars = getMaxStandardChars(font);
+    const maxLines = getMaxLines(font);
+    const { text = '', textEffect = 'solid' } = await inquirer.prompt([
         {
             type: 'input',
             name: 'text',
-            message: chalk.cyan(`Enter text to draw (max ${maxChars} characters):`),
+            when: source === 'text',
+            message: chalk.cyan(maxLines > 1
+                ? `Enter text to draw (about ${maxChars} characters per line, up to ${maxLines} lines):`
+                : `Enter text to draw (about ${maxChars} characters):`),
             default: existingConfig?.text || '',
-            validate: (input) => {
-                if (!input || input.trim().length === 0) {
-                    return 'Please enter at least 1 character';
-                }
-                const upper = input.toUpperCase().trim();
-                // Check character limit
-                if (upper.length > maxChars) {
-                    return `Text is too long! Maximum ${maxChars} characters (you entered ${upper.length})`;
-                }
-                // Check all characters are supported
-                for (let i = 0; i < upper.length; i++) {
-                    const char = upper[i];
-                    if (char === '<' && i + 1 < upper.length && upper[i + 1] === '3') {
-                        i++; // skip heart
-                        continue;
-                    }
-                    if (!FONT[char]) {
-                        return `Character '${char}' is not supported. Use A-Z, 0-9, space, or special: ! . - _`;
-                    }
-                }
-                return true;
-            },
+            validate: (input) => validateText(input, { ...layoutOptions, startWeek: 0 }),
+        },
+        {
+            type: 'list',
+            name: 'textEffect',
+            when: source === 'text',
+            message: chalk.cyan('Text shading:'),
+            choices: [
+                { name: 'Solid (darkest green)', value: 'solid' },
+                { name: 'Drop shadow', value: 'shadow' },
+                { name: 'Vertical gradient (dark top → light bottom)', value: 'gradient-vertical' },
+                { name: 'Horizontal gradient (dark left → light right)', value: 'gradient-horizontal' },
+            ],
+            default: existingConfig?.textEffect || 'solid',
         },
     ]);
 
-    // Step 2: Get year
-    const { year } = await inquirer.prompt([
+    // Step 2: Get canvas (calendar year or rolling 12 months)
+    const { canvas, year = null, endDate = null } = await inquirer.prompt([
+        {
+            type: 'list',
+            name: 'canvas',
+            message: chalk.cyan('Which graph should the art appear on?'),
+            choices: [
+                { name: 'A calendar year (profile year selector)', value: 'year' },
+                { name: 'The last 12 months (default profile view)', value: 'rolling' },
+            ],
+            default: existingConfig?.canvas || 'year',
+        },
         {
             type: 'number',
             name: 'year',
+            when: (answers) => answers.canvas === 'year',
             message: chalk.cyan('Target year:'),
             default: existingConfig?.year || currentYear,
             validate: (input) => {
@@ -108,6 +537,34 @@ async function interactiveMode() {
                 return true;
             },
         },
+        {
+            type: 'input',
+            name: 'endDate',
+            when: (answers) => answers.canvas === 'rolling',
+            message: chalk.cyan('Last day of the 12-month window (YYYY-MM-DD):'),
+            default: existingConfig?.endDate || formatDate(new Date()),
+            validate: (input) => {
+                try {
+                    getCanvas({ endDate: input });
+                    return true;
+                } catch {
+                    return 'Please enter a date as YYYY-MM-DD';
+                }
+            },
+        },
+    ]);
+    const range = canvas === 'rolling' ? { endDate } : year;
+
+    // Step 2b: Live drawing, when part of the canvas is still in the future
+    const today = formatDate(new Date());
+    const { live = false } = await inquirer.prompt([
+        {
+            type: 'confirm',
+            name: 'live',
+            when: getCanvas(range).to > today,
+            message: chalk.cyan('Draw live? (only commit days up to today; the service adds each new day as the calendar reaches it):'),
+            default: existingConfig?.live || false,
+        },
     ]);
 
     // Step 3: Commits per pixel
@@ -124,21 +581,6 @@ async function interactiveMode() {
         },
     ]);
 
-    // Step 4: Start week offset
-    const { startWeek } = await inquirer.prompt([
-        {
-            type: 'number',
-            name: 'startWeek',
-            message: chalk.cyan('Start from week (0 = beginning of year):'),
-            default: existingConfig?.startWeek !== undefined ? existingConfig.startWeek :
-                (process.env.DEFAULT_START_WEEK ? parseInt(process.env.DEFAULT_START_WEEK) : 1),
-            validate: (input) => {
-                if (input < 0 || input > 52) return 'Please enter 0-52';
-                return true;
-            },
-        },
-    ]);
-
     // Step 5: Batch Limit
     const { batchLimit } = await inquirer.prompt([
         {
@@ -174,6 +616,89 @@ async function interactiveMode() {
         },
     ]);
 
+    // Step 7a: Commit author (must be an email of the GitHub account)
+    const gitIdentity = getRepoIdentity(repoPath);
+    const { authorName, authorEmail } = await inquirer.prompt([
+        {
+            type: 'input',
+            name: 'authorName',
+            message: chalk.cyan('Commit author name:'),
+            default: existingConfig?.authorName || gitIdentity.name,
+            filter: (input) => input.trim(),
+        },
+        {
+            type: 'input',
+            name: 'authorEmail',
+            message: chalk.cyan('Commit author email (must be verified on your GitHub account):'),
+            default: existingConfig?.authorEmail || gitIdentity.email,
+            filter: (input) => input.trim(),
+            validate: (input) => /^[^\s@]+@[^\s@]+$/.test(input.trim()) || 'Please enter an email address',
+        },
+    ]);
+
+    // Step 7b: Commit engine
+    const { fastImport } = await inquirer.prompt([
+        {
+            type: 'confirm',
+            name: 'fastImport',
+            message: chalk.cyan('Write commits with git fast-import? (seconds instead of hours; say no to run git commit per commit):'),
+            default: existingConfig?.fastImport ?? true,
+        },
+    ]);
+
+    // Step 7c: Timezone, time profile and commit hours
+    const customProfile = existingConfig?.timeProfile && typeof existingConfig.timeProfile === 'object'
+        ? existingConfig.timeProfile
+        : null;
+    const { timezone, timeProfile, hourWindow } = await inquirer.prompt([
+        {
+            type: 'input',
+            name: 'timezone',
+            message: chalk.cyan('Timezone of your GitHub profile (IANA name, e.g. Europe/Berlin):'),
+            default: existingConfig?.timezone || getLocalTimezone(),
+            validate: (input) => isValidTimezone(input.trim()) || 'Please enter an IANA timezone such as America/New_York or UTC',
+            filter: (input) => input.trim(),
+        },
+        {
+            type: 'list',
+            name: 'timeProfile',
+            message: chalk.cyan('When during the day should the commits happen?'),
+            choices: [
+                { name: 'Evenly spread over the commit hours', value: 'even' },
+                { name: 'Working hours (busy mornings and afternoons, quiet lunch)', value: 'working-hours' },
+                { name: 'Evenings', value: 'evenings' },
+                { name: 'Bursty (one to three short sessions a day)', value: 'bursty' },
+                ...(customProfile ? [{ name: 'Custom histogram from config.json', value: customProfile }] : []),
+            ],
+            default: customProfile ? 4 : ['even', 'working-hours', 'evenings', 'bursty'].indexOf(existingConfig?.timeProfile || 'even'),
+        },
+        {
+            type: 'input',
+            name: 'hourWindow',
+            message: chalk.cyan('Hours to commit in (start-end, away from midnight is safest):'),
+            default: (answers) => {
+                const window = existingConfig?.hourWindow || DEFAULT_HOUR_WINDOW;
+                try {
+                    validateProfile(answers.timeProfile, window);
+                    return window.join('-');
+                } catch {
+                    return (getProfileWindow(answers.timeProfile) || window).join('-');
+                }
+            },
+            validate: (input, answers) => {
+                try {
+                    const window = String(input).split('-').map(Number);
+                    validateHourWindow(window);
+                    validateProfile(answers.timeProfile, window);
+                    return true;
+                } catch (err) {
+                    return err.message;
+                }
+            },
+            filter: (input) => String(input).split('-').map(Number),
+        },
+    ]);
+
     // Step 8: Solid Background
     const { useSolidBg } = await inquirer.prompt([
         {
@@ -207,7 +732,7 @@ async function interactiveMode() {
     if (githubUsername) {
         // Perform scraping
         try {
-            const scrapeResult = await scrapeContributions(githubUsername, year);
+            const scrapeResult = await scrapeContributions(githubUsername, range);
             scrapedExisting = scrapeResult.days;
 
             if (useSolidBg) {
@@ -233,16 +758,141 @@ async function interactiveMode() {
         }
     }
 
+    const config = {
+        source,
+        text: text.trim(),
+        imagePath,
+        imageMode,
+        imageThreshold: existingConfig?.imageThreshold ?? 128,
+        imageInvert: existingConfig?.imageInvert ?? false,
+        imageShades,
+        font,
+        fontPaths: existingConfig?.fontPaths || [],
+        align,
+        letterSpacing,
+        autoFit,
+        textEffect,
+        canvas,
+        year,
+        endDate,
+        live,
+        commitsPerPixel,
+        startWeek: null,
+        batchLimit,
+        repoPath,
+        repoUrl,
+        authorName,
+        authorEmail,
+        fastImport,
+        timezone,
+        timeProfile,
+        hourWindow,
+        // Only editable in config.json, so keep them across wizard runs
+        messageTemplate: existingConfig?.messageTemplate,
+        contentTemplate: existingConfig?.contentTemplate,
+        messageCorpus: existingConfig?.messageCorpus,
+        targetFiles: existingConfig?.targetFiles,
+        seed: existingConfig?.seed,
+        streak: existingConfig?.streak,
+        projects: existingConfig?.projects,
+        useSolidBg,
+        githubUsername,
+        globalBackgroundLevel,
+        scrapedExisting
+    };
+
+    // Step 9: Start week offset (after the scrape, so placements can be ranked against existing activity)
+    let placement = null;
+    if (Object.keys(scrapedExisting).length > 0) {
+        const ranked = rankPlacements(config);
+        const candidates = ranked.slice(0, 5);
+        console.log(chalk.green(`  ℹ️  Compared ${ranked.length} placements with your existing contributions. Best ones first (★ = recommended):`));
+
+        ({ placement } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'placement',
+                message: chalk.cyan('Where should the art go?'),
+                choices: [
+                    ...candidates.map((c, i) => ({
+                        name: `${i === 0 ? '★ ' : '  '}Week ${c.startWeek}${c.align ? ` (${c.align})` : ''} — ${c.commits} commits, ${c.conflicts} conflict(s)`,
+                        value: c,
+                    })),
+                    { name: '  Enter a start week myself', value: null },
+                ],
+            },
+        ]));
+    }
+
+    if (placement) {
+        config.startWeek = placement.startWeek;
+        if (placement.align) config.align = placement.align;
+    } else {
+        ({ startWeek: config.startWeek } = await inquirer.prompt([
+            {
+                type: 'number',
+                name: 'startWeek',
+                message: chalk.cyan('Start from week (0 = first column of the graph):'),
+                default: existingConfig?.startWeek !== undefined ? existingConfig.startWeek :
+                    (process.env.DEFAULT_START_WEEK ? parseInt(process.env.DEFAULT_START_WEEK) : 1),
+                validate: (input) => {
+                    if (input < 0 || input > 52) return 'Please enter 0-52';
+                    if (source === 'text') return validateText(text, { ...layoutOptions, startWeek: input });
+                    return true;
+                },
+            },
+        ]));
+    }
+
+    if (source === 'text') {
+        const layout = layoutText(config.text, { ...getTextOptions(config), startWeek: config.startWeek });
+        if (layout.shrunk) {
+            console.log(chalk.green(`  ℹ️  Auto-fit: using the ${layout.font} font with ${layout.letterSpacing}-column spacing (${layout.width} columns wide).`));
+        }
+    }
+
     // Generate plan and show preview
-    const plan = generatePlan(text.trim(), year, commitsPerPixel, startWeek, globalBackgroundLevel, scrapedExisting);
-    const grid = buildGrid(plan);
+    let plan = generateConfiguredPlan(config);
+
+    // Compare with the profile as it is today and offer to move the art off conflicting days
+    if (Object.keys(scrapedExisting).length > 0) {
+        console.log('');
+        console.log(chalk.bold.yellow('  🔀 Before / after with your existing contributions:'));
+        let conflicts = showOverlay(config, plan);
+
+        while (conflicts.length > 0) {
+            const { moveTo } = await inquirer.prompt([
+                {
+                    type: 'number',
+                    name: 'moveTo',
+                    message: chalk.cyan('Move the art to start week (keep the current one to continue):'),
+                    default: config.startWeek,
+                    validate: (input) => {
+                        if (input < 0 || input > 52) return 'Please enter 0-52';
+                        if (source === 'text') return validateText(text, { ...layoutOptions, align: config.align, startWeek: input });
+                        return true;
+                    },
+                },
+            ]);
+            if (moveTo === config.startWeek) break;
+
+            config.startWeek = moveTo;
+            plan = generateConfiguredPlan(config);
+            conflicts = showOverlay(config, plan);
+        }
+    }
+
+    const simulation = simulateGraph(plan, scrapedExisting, range);
     const stats = getPlanStats(plan);
 
     console.log('');
     console.log(chalk.bold.yellow('  ⚡ Preview of your contribution graph:'));
-    renderGrid(grid, year);
+    renderGrid(simulation.grid, range);
+    renderSimulation(simulation);
     renderStats(stats);
     renderStats(stats);
+    warnMissedShades(config, simulation);
+    warnRollovers(config, plan);
     // Step 8: Confirmation
     const { confirmed } = await inquirer.prompt([
         {
@@ -259,44 +909,85 @@ async function interactiveMode() {
     }
 
     // Save config for future use
-    const config = {
-        text: text.trim(),
-        year,
-        commitsPerPixel,
-        startWeek,
-        batchLimit,
-        repoPath,
-        repoUrl,
-        useSolidBg,
-        githubUsername,
-        globalBackgroundLevel,
-        scrapedExisting
-    };
     saveConfig(config);
 
     // Execute!
-    await executeCommits(config, plan);
+    await withRunLock(() => executeCommits(config, plan, DATA_DIR, getPlanFingerprint(config)));
+}
+
+// ─── Reconcile ──────────────────────────────────────────────────────
+/**
+ * Rewrite a tracker from the commits in the art repo and show what changed
+ * @param {string} repoPath - Art repo
+ * @param {string} dataDir - Tracker directory
+ * @returns {Array} The days that changed (see reconcileTracker)
+ */
+function reconcile(repoPath, dataDir) {
+    const changes = reconcileTracker(countCommitsByDate(repoPath), dataDir);
+    if (changes.length === 0) return changes;
+
+    const name = path.relative(path.join(__dirname, '..'), path.join(dataDir, 'commits.json'));
+    console.log(chalk.yellow(`  ⚠️  ${name} did not match the art repo. Updated ${changes.length} days from git history:`));
+    for (const { date, before, after } of changes.slice(0, 10)) {
+        const color = after > before ? chalk.green : chalk.red;
+        console.log(color(`    ${after > before ? '+' : '-'} ${date}: ${before} → ${after} commits`));
+    }
+    if (changes.length > 10) console.log(chalk.gray(`    … and ${changes.length - 10} more`));
+    console.log('');
+    return changes;
 }
 
 // ─── Execute Commits ────────────────────────────────────────────────
-async function executeCommits(config, plan) {
+/**
+ * Make the pending commits of a plan in batches, recording them in the tracker
+ * @param {Object} config - Saved (or in-progress) config
+ * @param {Array} plan - Plan entries
+ * @param {string} dataDir - Tracker directory (every project and the streak keeper have their own)
+ * @param {string|null} fingerprint - Plan fingerprint the tracker must belong to (see claimTracker)
+ */
+async function executeCommits(config, plan, dataDir = DATA_DIR, fingerprint = null) {
     const { repoPath, repoUrl } = config;
 
     console.log('');
     console.log(chalk.bold.white('  🚀 Starting commit execution...'));
     console.log('');
 
-    // Initialize repo
-    initRepo(repoPath, repoUrl);
+    // Pre-flight: GitHub only counts commits authored with an email of the profile
+    const commitOptions = getCommitOptions(config);
+    commitOptions.author = checkIdentity(repoPath, commitOptions.author);
+    console.log(chalk.green(`  ℹ️  Committing as ${commitOptions.author.name} <${commitOptions.author.email}>`));
+    console.log('');
+
+    // Initialize repo (a seeded run dates the first commit from the plan, so the history is reproducible)
+    const initTimestamp = config.seed !== undefined && plan.length > 0
+        ? toIsoDate(`${plan[0].date}T${String(commitOptions.hourWindow[0]).padStart(2, '0')}:00:00`, commitOptions.timezone)
+        : null;
+    initRepo(repoPath, repoUrl, { author: commitOptions.author, initTimestamp });
+
+    // Progress recorded for other art must not count towards this plan
+    if (fingerprint) {
+        reconcile(repoPath, dataDir);
+        claimTracker(fingerprint, { text: describeArt(config), year: describeRange(config) }, dataDir);
+    }
 
-    const dataDir = path.join(__dirname, '..', 'data');
     let batchNumber = 1;
 
+    // Live drawing never commits past today; later days wait for the next run
+    const until = config.live ? formatDate(new Date()) : null;
+
     while (true) {
-        const pending = getPending(plan, dataDir);
+        // The repo is the record of what was committed: a crash or a manual commit can leave the tracker behind
+        reconcile(repoPath, dataDir);
+        const pending = getPending(plan, dataDir, until);
 
         if (pending.length === 0) {
-            console.log(chalk.green('  ✅ All commits are completed!'));
+            const scheduled = getEntryStatuses(plan, dataDir, until).filter(e => e.status === 'scheduled');
+            if (scheduled.length > 0) {
+                console.log(chalk.green(`  ✅ Up to date! ${scheduled.length} days are scheduled for later (next: ${scheduled[0].date}).`));
+                console.log(chalk.gray('  Keep the service installed (npm run service:install) so they are drawn as the calendar reaches them.'));
+            } else {
+                console.log(chalk.green('  ✅ All commits are completed!'));
+            }
             console.log('');
             return;
         }
@@ -324,26 +1015,56 @@ async function executeCommits(config, plan) {
             if (!added) break;
         }
 
-        // 2. Execute the allocated commits
-        let completedDaysThisBatch = 0;
-        const daysToProcess = assignments.filter(p => p.toCommitNow > 0).length;
-
-        for (const entry of assignments) {
-            if (entry.toCommitNow === 0) continue;
-
-            const progress = Math.round((completedDaysThisBatch / daysToProcess) * 100);
+        // 2. Execute the allocated commits, remembering where they started (see --undo-batch)
+        const days = assignments.filter(p => p.toCommitNow > 0);
+        const headBefore = getHead(repoPath);
+        const startedAt = new Date().toISOString();
+        const delta = {};
+        const showProgress = (completedDays, entry) => {
+            const progress = Math.round((completedDays / days.length) * 100);
             const bar = '█'.repeat(Math.floor(progress / 5)) + '░'.repeat(20 - Math.floor(progress / 5));
 
             process.stdout.write(
                 `\r  [${chalk.green(bar)}] ${progress}% | ${chalk.white(entry.date)} | '${chalk.cyan(entry.char)}' | +${entry.toCommitNow} commits`
             );
+        };
+
+        if (config.fastImport !== false) {
+            // Stream the whole batch through git fast-import, then record it
+            await fastImportCommits(
+                repoPath,
+                days.map(entry => ({
+                    date: entry.date,
+                    countToMake: entry.toCommitNow,
+                    totalCount: entry.commits,
+                    startIndex: entry.doneCommits,
+                    charLabel: entry.char,
+                    row: entry.row,
+                    col: entry.col,
+                })),
+                { ...commitOptions, onDay: (day, index) => showProgress(index + 1, days[index]) }
+            );
 
-            const commitsMade = makeCommits(repoPath, entry.date, entry.toCommitNow, entry.commits, entry.doneCommits, entry.char);
-
-            // markCompleted expects the TOTAL commits done for that date so far
-            markCompleted(entry.date, entry.doneCommits + commitsMade, dataDir);
-
-            completedDaysThisBatch++;
+            for (const entry of days) {
+                markCompleted(entry.date, entry.doneCommits + entry.toCommitNow, dataDir);
+                delta[entry.date] = { before: entry.doneCommits, after: entry.doneCommits + entry.toCommitNow };
+            }
+        } else {
+            for (const [index, entry] of days.entries()) {
+                showProgress(index, entry);
+
+                // Journal every commit, so a crash mid-day loses no progress
+                const commitsMade = makeCommits(repoPath, entry.date, entry.toCommitNow, entry.commits, entry.doneCommits, entry.char, false, {
+                    ...commitOptions,
+                    row: entry.row,
+                    col: entry.col,
+                    onCommit: (made) => markCompleted(entry.date, entry.doneCommits + made, dataDir),
+                });
+
+                // markCompleted expects the TOTAL commits done for that date so far
+                markCompleted(entry.date, entry.doneCommits + commitsMade, dataDir);
+                delta[entry.date] = { before: entry.doneCommits, after: entry.doneCommits + commitsMade };
+            }
         }
 
         process.stdout.write(
@@ -351,9 +1072,10 @@ async function executeCommits(config, plan) {
         );
 
         // 3. Push to remote
+        let pushed = false;
         if (config.repoUrl) {
             console.log(chalk.cyan('  📤 Pushing batch to remote...'));
-            const pushed = pushToRemote(repoPath);
+            pushed = pushToRemote(repoPath);
             if (pushed) {
                 console.log(chalk.green('  ✅ Successfully pushed batch!'));
             } else {
@@ -361,6 +1083,14 @@ async function executeCommits(config, plan) {
             }
         }
 
+        // 4. Record the batch, so it can be undone
+        const headAfter = getHead(repoPath);
+        if (headAfter !== headBefore) {
+            const commits = Object.values(delta).reduce((sum, day) => sum + day.after - day.before, 0);
+            const number = (loadBatches(dataDir).at(-1)?.number || 0) + 1;
+            recordBatch({ number, startedAt, headBefore, headAfter, commits, delta, pushed }, dataDir);
+        }
+
         console.log('');
         batchNumber++;
 
@@ -372,42 +1102,70 @@ async function executeCommits(config, plan) {
 }
 
 // ─── Quick Preview Mode ─────────────────────────────────────────────
-async function previewMode() {
+/**
+ * @param {boolean} overlay - Show the before/after layers instead of the combined graph only
+ * @param {string} projectName - Project to preview (see loadProject)
+ */
+async function previewMode(overlay = false, projectName = DEFAULT_PROJECT) {
     printBanner();
 
-    const config = loadConfig();
+    const config = loadProject(projectName);
     if (!config) {
         console.log(chalk.yellow('  No config found. Run in interactive mode first: npm start'));
         return;
     }
 
-    const plan = generatePlan(config.text, config.year, config.commitsPerPixel, config.startWeek);
-    const grid = buildGrid(plan);
+    // Include the background so the simulated scale matches what the run will push
+    const range = getConfigRange(config);
+    const plan = generateConfiguredPlan(config);
+    const simulation = simulateGraph(plan, config.scrapedExisting || {}, range);
     const stats = getPlanStats(plan);
 
-    renderGrid(grid, config.year);
+    if (overlay && Object.keys(config.scrapedExisting || {}).length > 0) {
+        showOverlay(config, plan);
+    } else {
+        if (overlay) {
+            console.log(chalk.yellow('  ⚠️  No scraped contributions saved. Set a GitHub username in interactive mode to compare.'));
+        }
+        renderGrid(simulation.grid, range);
+    }
+    renderSimulation(simulation);
     renderStats(stats);
+    warnMissedShades(config, simulation);
+    warnRollovers(config, plan);
 }
 
 // ─── Plan Mode ──────────────────────────────────────────────────────
-async function planMode() {
+const PLAN_STATUS = {
+    done: chalk.green('✓ done'),
+    due: chalk.yellow('● due'),
+    scheduled: chalk.gray('◌ scheduled for later'),
+};
+
+
+/**
+ * @param {string} projectName - Project to show (see loadProject)
+ */
+async function planMode(projectName = DEFAULT_PROJECT) {
     printBanner();
 
-    const config = loadConfig();
+    const config = loadProject(projectName);
     if (!config) {
         console.log(chalk.yellow('  No config found. Run in interactive mode first: npm start'));
         return;
     }
 
-    const plan = generatePlan(config.text, config.year, config.commitsPerPixel, config.startWeek);
+    // The plan that --run executes, so the statuses match the tracker
+    const plan = generateConfiguredPlan(config);
     const stats = getPlanStats(plan);
 
-    console.log(chalk.bold.white(`  📅 Commit Plan for "${config.text}" (${config.year})`));
+    console.log(chalk.bold.white(`  📅 Commit Plan for "${describeArt(config)}" (${describeRange(config)})`));
     console.log('');
 
-    // Group by month
+    // Group by month, with each day's progress from the tracker
+    const statuses = getEntryStatuses(plan, config.dataDir, config.live ? formatDate(new Date()) : null);
     const byMonth = {};
-    for (const entry of plan) {
+    for (const entry of statuses) {
         const month = entry.date.substring(0, 7);
         if (!byMonth[month]) byMonth[month] = [];
         byMonth[month].push(entry);
@@ -416,16 +1174,22 @@ async function planMode() {
     for (const [month, entries] of Object.entries(byMonth)) {
         console.log(chalk.cyan(`  ${month}:`));
         for (const e of entries) {
-            console.log(chalk.gray(`    ${e.date} → ${e.commits} commits (char: '${e.char}')`));
+            console.log(chalk.gray(`    ${e.date} → ${e.commits} commits (char: '${e.char}') `) + PLAN_STATUS[e.status]);
         }
     }
 
+    const counts = statuses.reduce((acc, e) => ({ ...acc, [e.status]: (acc[e.status] || 0) + 1 }), {});
+    console.log('');
+    console.log(`  ${PLAN_STATUS.done} ${counts.done || 0}   ${PLAN_STATUS.due} ${counts.due || 0}   ${PLAN_STATUS.scheduled} ${counts.scheduled || 0}`);
     console.log('');
     renderStats(stats);
 }
 
 // ─── Run Mode (non-interactive, uses saved config) ──────────────────
-async function runMode() {
+/**
+ * @param {string|null} projectName - Run only this project (default: every project, then the streak keeper)
+ */
+async function runMode(projectName = null) {
     printBanner();
 
     const config = loadConfig();
@@ -434,22 +1198,415 @@ async function runMode() {
         return;
     }
 
-    console.log(chalk.cyan(`  🔄 Running with saved config: "${config.text}" (${config.year})`));
+    const projects = projectName ? [loadProject(projectName)] : getProjects(config, DATA_DIR);
+    const failed = [];
+    await withRunLock(async () => {
+        for (const project of projects) {
+            const label = projects.length > 1 ? ` [${project.name}]` : '';
+            console.log(chalk.cyan(`  🔄 Running with saved config${label}: "${describeArt(project)}" (${describeRange(project)})`));
+
+            // One broken project must not keep the others from drawing
+            try {
+                const plan = generateConfiguredPlan(project);
+                await executeCommits(project, plan, project.dataDir, getPlanFingerprint(project));
+            } catch (err) {
+                if (projects.length === 1) throw err;
+                console.log(chalk.red(`  ❌ ${project.name}: ${err.message}`));
+                console.log('');
+                failed.push(project.name);
+            }
+        }
+
+        if (!projectName && config.streak?.enabled) await keepStreak(config);
+    });
+
+    if (failed.length > 0) {
+        throw new Error(`${failed.length} of ${projects.length} projects failed: ${failed.join(', ')}`);
+    }
+}
+
+// ─── Streak Keeper ──────────────────────────────────────────────────
+/**
+ * Top up the days since config.streak.since that are below the minimum
+ * @param {Object} config - Saved config with a `streak` section
+ */
+async function keepStreak(config) {
+    const { streak } = config;
+    validateStreak(streak);
+
+    const today = formatDate(new Date());
+    const every = streak.days === 'weekdays' ? 'weekday' : 'day';
+    console.log(chalk.cyan(`  🔥 Streak keeper: at least ${streak.minCommits} commits every ${every} since ${streak.since || today}`));
+
+    let scrapedExisting = {};
+    if (config.githubUsername) {
+        try {
+            scrapedExisting = (await scrapeContributions(config.githubUsername, { endDate: today })).days;
+        } catch (err) {
+            console.log(chalk.yellow(`  ⚠️  Failed to fetch existing data: ${err.message}`));
+            console.log(chalk.yellow('  Topping up as if there were no other contributions.'));
+        }
+    } else {
+        console.log(chalk.yellow('  ⚠️  No githubUsername in config.json. Topping up as if there were no other contributions.'));
+    }
+
+    const streakDir = path.join(DATA_DIR, 'streak');
+    const plan = planStreak(streak, scrapedExisting, loadTracker(streakDir).completed, today);
+    await executeCommits({ ...config, live: true }, plan, streakDir);
+}
+
+// ─── Streak Mode (streak keeper only) ───────────────────────────────
+async function streakMode() {
+    printBanner();
+
+    const config = loadConfig();
+    if (!config?.streak) {
+        console.log(chalk.yellow('  No streak configured. Add a "streak" section to config.json (see README).'));
+        return;
+    }
+
+    await withRunLock(() => keepStreak(config));
+}
+
+// ─── Verify Mode (compare the live graph with the plan) ─────────────
+/**
+ * @param {boolean} fix - Top up the missing days through the tracker
+ * @param {string} projectName - Project to verify (see loadProject)
+ */
+async function verifyMode(fix = false, projectName = DEFAULT_PROJECT) {
+    printBanner();
+
+    const config = loadProject(projectName);
+    if (!config) {
+        console.log(chalk.yellow('  No config found. Run in interactive mode first: npm start'));
+        return;
+    }
+    if (!config.githubUsername) {
+        console.log(chalk.yellow('  No githubUsername in config.json. Set one in interactive mode to verify your graph.'));
+        return;
+    }
+
+    const { dataDir } = config;
+    const plan = generateConfiguredPlan(config);
+    const today = formatDate(new Date());
+    const { days: actual } = await scrapeContributions(config.githubUsername, getConfigRange(config));
+    // Read the art repo rather than reconcile the tracker: a run may be writing it right now
+    const made = fs.existsSync(config.repoPath)
+        ? countCommitsByDate(config.repoPath)
+        : Object.fromEntries(Object.entries(loadTracker(dataDir).completed).map(([date, day]) => [date, day.commits]));
+
+    // Days we have not drawn yet cannot show; only check the ones that are done.
+    // Every commit in the art repo counts, so streak top-ups on a day add to its plan.
+    const done = plan.filter(e => (made[e.date] || 0) >= e.commits);
+    const extra = Object.fromEntries(done.map(e => [e.date, made[e.date] - e.commits]));
+    const report = verifyPlan(done, actual, { baseline: config.scrapedExisting || {}, extra, until: today });
+
+    console.log(chalk.bold.white(`  🔎 Verifying "${describeArt(config)}" (${describeRange(config)}) on ${config.githubUsername}'s profile`));
+    console.log('');
+    const listDays = (label, days, describe) => {
+        if (days.length === 0) return;
+        console.log(chalk.yellow(`  ${label} (${days.length}):`));
+        for (const day of days.slice(0, 10)) {
+            console.log(chalk.gray(`    ${day.date} '${day.char}' → ${describe(day)}`));
+        }
+        if (days.length > 10) console.log(chalk.gray(`    … and ${days.length - 10} more`));
+    };
+    listDays('Missing', report.missing, d => `shows ${d.actual}, expected ${d.expected}`);
+    listDays('Over-filled', report.overfilled, d => `shows ${d.actual}, expected ${d.expected}`);
+    listDays('Misaligned', report.misaligned, d => `shows ${d.actual}, the count planned for ${d.plannedFor}`);
+
+    const problems = report.missing.length + report.overfilled.length + report.misaligned.length;
+    if (problems === 0) {
+        console.log(chalk.green(`  ✅ All ${report.checked} drawn days match the plan.`));
+        console.log('');
+        return;
+    }
+    console.log('');
+    console.log(chalk.white(`  ${report.matched} of ${report.checked} drawn days match the plan.`));
+    if (report.misaligned.length > 0) {
+        console.log(chalk.yellow('  ⚠️  Misaligned days usually mean the timezone in config.json differs from your GitHub profile\'s.'));
+    }
+    if (report.overfilled.length > 0) {
+        console.log(chalk.gray('  Over-filled days cannot be fixed by adding commits. They may just be your own activity.'));
+    }
+    console.log(chalk.gray('  GitHub can take a few minutes to count new commits. Verify again later before correcting.'));
+    console.log('');
+
+    const corrections = planCorrections(report, Object.fromEntries(Object.entries(made).map(([date, commits]) => [date, { commits }])));
+    if (corrections.length === 0) return;
+
+    const topUp = report.missing.reduce((sum, day) => sum + day.expected - day.actual, 0);
+    if (!fix) {
+        console.log(chalk.cyan(`  Run with --verify --fix to top up ${topUp} commits on ${corrections.length} missing days.`));
+        console.log('');
+        return;
+    }
+
+    // Commits that were made but never pushed would be doubled by a top-up
+    const unpushed = config.repoUrl ? countUnpushed(config.repoPath) : null;
+    if (unpushed > 0) {
+        throw new Error(`${unpushed} commits in ${config.repoPath} are not pushed yet. Push them (or run npm run run) and verify again`);
+    }
+
+    console.log(chalk.cyan(`  🩹 Topping up ${topUp} commits on ${corrections.length} missing days...`));
+    await withRunLock(() => executeCommits(config, corrections, dataDir, getPlanFingerprint(config)));
+}
+
+// ─── Reconcile Mode (rebuild the trackers from git history) ─────────
+/**
+ * @param {string} projectName - Project to reconcile (see loadProject)
+ */
+async function reconcileMode(projectName = DEFAULT_PROJECT) {
+    printBanner();
+
+    const config = loadProject(projectName);
+    if (!config) {
+        console.log(chalk.yellow('  No config found. Run in interactive mode first: npm start'));
+        return;
+    }
+    if (!fs.existsSync(config.repoPath)) {
+        console.log(chalk.yellow(`  No art repo at ${config.repoPath}. Nothing to reconcile.`));
+        return;
+    }
+
+    // The streak keeper commits to the default project's repo
+    const { dataDir } = config;
+    const dataDirs = config.streak && config.name === DEFAULT_PROJECT ? [dataDir, path.join(dataDir, 'streak')] : [dataDir];
+    await withRunLock(async () => {
+        const changed = dataDirs.filter(dir => reconcile(config.repoPath, dir).length > 0);
+        if (changed.length === 0) {
+            console.log(chalk.green('  ✅ The tracker already matches the art repo.'));
+            console.log('');
+        }
+    });
+}
+
+// ─── Undo Batch Mode (roll back the last batch) ─────────────────────
+/**
+ * @param {string} projectName - Project whose last batch to undo (see loadProject)
+ */
+async function undoBatchMode(projectName = DEFAULT_PROJECT) {
+    printBanner();
 
-    const plan = generatePlan(config.text, config.year, config.commitsPerPixel, config.startWeek, config.globalBackgroundLevel, config.scrapedExisting);
-    await executeCommits(config, plan);
+    const config = loadProject(projectName);
+    if (!config) {
+        console.log(chalk.yellow('  No config found. Run in interactive mode first: npm start'));
+        return;
+    }
+
+    const batch = loadBatches(config.dataDir).at(-1);
+    if (!batch) {
+        console.log(chalk.yellow('  No batch to undo.'));
+        console.log('');
+        return;
+    }
+
+    const short = (hash) => (hash ? hash.slice(0, 7) : 'none');
+    const checkHead = () => {
+        const head = getHead(config.repoPath);
+        if (head !== batch.headAfter) {
+            throw new Error(`The art repo has moved on since batch ${batch.number} (HEAD is ${short(head)}, the batch ended at ${short(batch.headAfter)}). Only the latest batch can be undone`);
+        }
+    };
+    checkHead();
+
+    const dates = Object.keys(batch.delta).sort();
+    console.log(chalk.bold.white(`  ↩️  Last batch: #${batch.number}, started ${batch.startedAt}`));
+    console.log(chalk.gray(`    ${batch.commits} commits on ${dates.length} days (${dates[0]} – ${dates[dates.length - 1]}), ${short(batch.headBefore)}..${short(batch.headAfter)}`));
+    console.log(chalk.gray(`    ${batch.pushed ? 'Pushed to the remote' : 'Not pushed'}`));
+    console.log('');
+
+    const { confirmed, confirmedPush } = await inquirer.prompt([
+        {
+            type: 'confirm',
+            name: 'confirmed',
+            message: chalk.yellow(`Reset ${config.repoPath} to ${short(batch.headBefore)} and roll the tracker back?`),
+            default: false,
+        },
+        {
+            type: 'confirm',
+            name: 'confirmedPush',
+            message: chalk.red.bold('Force-push the previous state to the remote? This rewrites its history.'),
+            default: false,
+            when: (answers) => answers.confirmed && batch.pushed && Boolean(config.repoUrl),
+        },
+    ]);
+    if (!confirmed) {
+        console.log(chalk.gray('\n  Cancelled. Nothing was changed.\n'));
+        return;
+    }
+
+    await withRunLock(async () => {
+        // A run may have committed while we were asking
+        checkHead();
+        resetToCommit(config.repoPath, batch.headBefore);
+        undoBatch(batch, config.dataDir);
+        console.log(chalk.green(`  ✅ Reset to ${short(batch.headBefore)} and restored the tracker for ${dates.length} days.`));
+
+        if (confirmedPush) {
+            if (forcePush(config.repoPath, batch.headAfter)) {
+                console.log(chalk.green('  ✅ Force-pushed. The remote is back to the state before the batch.'));
+            } else {
+                console.log(chalk.yellow('  ⚠️  The remote was not changed (it may have moved on). Check it before pushing again.'));
+            }
+        } else if (batch.pushed) {
+            console.log(chalk.yellow('  ⚠️  The remote still has the batch, so normal pushes will be refused until it is force-pushed:'));
+            console.log(chalk.yellow(`     cd ${config.repoPath} && git push --force-with-lease`));
+        }
+        console.log('');
+    });
+}
+
+// ─── Erase Mode (remove part of the art from the repo's history) ───
+/**
+ * @param {Object} selection - What to erase: { chars, dates, cols, changed } (see createSelector)
+ * @param {boolean} dryRun - Only list the commits that would be erased
+ * @param {string} projectName - Project to erase from (see loadProject)
+ */
+async function eraseMode(selection, dryRun = false, projectName = DEFAULT_PROJECT) {
+    printBanner();
+
+    const config = loadProject(projectName);
+    if (!config) {
+        console.log(chalk.yellow('  No config found. Run in interactive mode first: npm start'));
+        return;
+    }
+    if (!fs.existsSync(config.repoPath)) {
+        console.log(chalk.yellow(`  No art repo at ${config.repoPath}. Nothing to erase.`));
+        return;
+    }
+    const { chars, dates, cols, changed } = selection;
+    if (chars.length + dates.length + cols.length === 0 && !changed) {
+        throw new Error('Choose what to erase: --char <c>, --date <YYYY-MM-DD[..YYYY-MM-DD]>, --col <n[-m]> or --changed');
+    }
+
+    // Characters are read from the commit messages; the plan in config.json narrows them to their days
+    // only if the repo was drawn from it. A message corpus does not record them, so their whole days go
+    const range = getConfigRange(config);
+    const plan = generateConfiguredPlan(config);
+    const { fingerprint } = loadTracker(config.dataDir);
+    const drawnFromPlan = !fingerprint || fingerprint === getPlanFingerprint(config);
+    const selector = createSelector(
+        { chars, dates, cols, changed: changed ? findChangedDays(plan, countCommitsByDate(config.repoPath), range) : [] },
+        {
+            range,
+            plan: drawnFromPlan ? plan : null,
+            messageTemplate: config.messageCorpus ? '' : config.messageTemplate || DEFAULT_MESSAGE_TEMPLATE,
+        }
+    );
+
+    const commits = listCommits(config.repoPath);
+    const head = getHead(config.repoPath);
+    const doomed = commits.filter(commit => commit.parents.length > 0 && selector(commit));
+    if (doomed.length === 0) {
+        console.log(chalk.green('  ✅ No commits in the art repo match. Nothing to erase.'));
+        console.log('');
+        return;
+    }
+
+    // Selected by message, a day can lose only some of its commits
+    const perDay = countErasedByDay(commits, doomed, drawnFromPlan ? plan : null);
+    const days = Object.keys(perDay).sort();
+    const unplanned = days.reduce((sum, date) => sum + perDay[date].unplanned, 0);
+
+    console.log(chalk.bold.white(`  🧽 ${doomed.length} commits on ${days.length} days of "${describeArt(config)}" (${describeRange(config)}) match:`));
+    for (const date of days.slice(0, 10)) {
+        const extra = perDay[date].unplanned > 0 ? chalk.yellow(` (${perDay[date].unplanned} not drawn by the art)`) : '';
+        console.log(chalk.gray(`    ${date}: ${perDay[date].erased} of ${perDay[date].total} commits`) + extra);
+    }
+    if (days.length > 10) console.log(chalk.gray(`    … and ${days.length - 10} more`));
+    if (unplanned > 0) {
+        console.log(chalk.yellow(`  ⚠️  ${unplanned} of them were not drawn by the art (streak top-ups or your own commits) and are erased with their days.`));
+    }
+    console.log('');
+    if (dryRun) {
+        console.log(chalk.gray('  Dry run: nothing was changed.'));
+        console.log('');
+        return;
+    }
+
+    const upstream = config.repoUrl ? getUpstream(config.repoPath) : null;
+    const { confirmed, confirmedPush } = await inquirer.prompt([
+        {
+            type: 'confirm',
+            name: 'confirmed',
+            message: chalk.yellow(`Rewrite the history of ${config.repoPath} without them? (A backup goes to backups/ first.)`),
+            default: false,
+        },
+        {
+            type: 'confirm',
+            name: 'confirmedPush',
+            message: chalk.red.bold('Force-push the rewritten history to the remote? This replaces its history.'),
+            default: false,
+            when: (answers) => answers.confirmed && Boolean(upstream),
+        },
+    ]);
+    if (!confirmed) {
+        console.log(chalk.gray('\n  Cancelled. Nothing was changed.\n'));
+        return;
+    }
+
+    await withRunLock(async () => {
+        // A run may have committed while we were asking
+        if (getHead(config.repoPath) !== head) {
+            throw new Error('The art repo has new commits since they were listed. Run the erase again');
+        }
+
+        const bundle = backupLocal(config.repoPath, config.name);
+        console.log(chalk.gray(`  ✓ Backed up the history to ${path.relative(path.join(__dirname, '..'), bundle)}`));
+        const result = await rewriteHistory(config.repoPath, new Set(doomed.map(commit => commit.hash)));
+        console.log(chalk.green(`  ✅ Erased ${doomed.length} commits and rewrote the ${result.replayed} after them. HEAD is now ${result.head.slice(0, 7)}.`));
+
+        // The trackers follow the repo (the streak keeper commits to the default project's too), and
+        // the next run may claim them for edited art
+        const counts = countCommitsByDate(config.repoPath);
+        const dataDirs = config.streak && config.name === DEFAULT_PROJECT ? [config.dataDir, path.join(config.dataDir, 'streak')] : [config.dataDir];
+        dataDirs.forEach(dir => reconcileTracker(counts, dir));
+        releaseTracker(config.dataDir);
+
+        if (confirmedPush) {
+            if (forcePush(config.repoPath, upstream)) {
+                console.log(chalk.green('  ✅ Force-pushed. The remote no longer has the erased commits.'));
+            } else {
+                console.log(chalk.yellow('  ⚠️  The remote was not changed (it may have moved on). Check it before pushing again.'));
+            }
+        } else if (upstream) {
+            console.log(chalk.yellow('  ⚠️  The remote still has the erased commits, so normal pushes will be refused until it is force-pushed:'));
+            console.log(chalk.yellow(`     cd ${config.repoPath} && git push --force-with-lease`));
+        }
+        console.log('');
+        console.log(chalk.cyan('  Next: change the art in config.json if it should look different there, check it with'));
+        console.log(chalk.cyan('  npm run plan, then draw the erased days again with npm run run.'));
+        console.log('');
+    });
 }
 
 // ─── Main ───────────────────────────────────────────────────────────
 async function main() {
     const args = process.argv.slice(2);
+    const projectName = args.includes('--project') ? args[args.indexOf('--project') + 1] : null;
+
+    loadFonts(loadConfig());
 
     if (args.includes('--preview') || args.includes('-p')) {
-        await previewMode();
+        await previewMode(args.includes('--overlay'), projectName || DEFAULT_PROJECT);
     } else if (args.includes('--plan') || args.includes('-l')) {
-        await planMode();
+        await planMode(projectName || DEFAULT_PROJECT);
     } else if (args.includes('--run') || args.includes('-r')) {
-        await runMode();
+        await runMode(projectName);
+    } else if (args.includes('--streak')) {
+        await streakMode();
+    } else if (args.includes('--verify')) {
+        await verifyMode(args.includes('--fix'), projectName || DEFAULT_PROJECT);
+    } else if (args.includes('--reconcile')) {
+        await reconcileMode(projectName || DEFAULT_PROJECT);
+    } else if (args.includes('--undo-batch')) {
+        await undoBatchMode(projectName || DEFAULT_PROJECT);
+    } else if (args.includes('--erase')) {
+        // Selectors may be given more than once
+        const valuesOf = (flag) => args.flatMap((arg, i) => (arg === flag && i + 1 < args.length ? [args[i + 1]] : []));
+        const selection = { chars: valuesOf('--char'), dates: valuesOf('--date'), cols: valuesOf('--col'), changed: args.includes('--changed') };
+        await eraseMode(selection, args.includes('--dry-run'), projectName || DEFAULT_PROJECT);
     } else if (args.includes('--help') || args.includes('-h')) {
         printBanner();
         console.log(chalk.white('  Usage:'));
@@ -460,8 +1617,21 @@ async function main() {
         console.log('');
         console.log(chalk.white('  Flags:'));
         console.log(chalk.gray('    --preview, -p       ') + chalk.white('Preview mode'));
+        console.log(chalk.gray('    --overlay           ') + chalk.white('With --preview: show your graph today, the art and both combined'));
         console.log(chalk.gray('    --plan, -l          ') + chalk.white('Plan mode'));
-        console.log(chalk.gray('    --run, -r           ') + chalk.white('Run mode'));
+        console.log(chalk.gray('    --run, -r           ') + chalk.white('Run mode: every project, then the streak keeper (if enabled)'));
+        console.log(chalk.gray('    --streak            ') + chalk.white('Only run the streak keeper'));
+        console.log(chalk.gray('    --verify            ') + chalk.white('Compare your live graph with the plan'));
+        console.log(chalk.gray('    --fix               ') + chalk.white('With --verify: top up the missing days'));
+        console.log(chalk.gray('    --reconcile         ') + chalk.white('Rebuild the tracker from the art repo\'s git history'));
+        console.log(chalk.gray('    --undo-batch        ') + chalk.white('Roll back the last batch (asks before force-pushing)'));
+        console.log(chalk.gray('    --erase             ') + chalk.white('Remove part of the art from the repo\'s history, to draw it again:'));
+        console.log(chalk.gray('      --char <c>        ') + chalk.white('  the commits of a character'));
+        console.log(chalk.gray('      --date <d[..d]>   ') + chalk.white('  a day or a range of days (YYYY-MM-DD)'));
+        console.log(chalk.gray('      --col <n[-m]>     ') + chalk.white('  a week column or a range of them (0–52)'));
+        console.log(chalk.gray('      --changed         ') + chalk.white('  the days with more commits than the art in config.json wants'));
+        console.log(chalk.gray('      --dry-run         ') + chalk.white('  only list the commits'));
+        console.log(chalk.gray('    --project <name>    ') + chalk.white('Only this project (see "projects" in config.json)'));
         console.log(chalk.gray('    --help, -h          ') + chalk.white('Show this help'));
         console.log('');
     } else {
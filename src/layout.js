@@ -0,0 +1,124 @@
+/**
+ * Layout Module
+ * Measures text in pixel columns and positions each line on the 53-week grid
+ * (alignment, letter spacing, auto-fit) before anything is planned
+ */
+
+const { GRAPH_COLUMNS, FONTS, LINE_SEPARATOR, getFont, getMaxLines, tokenize, getMaxChars } = require('./fonts');
+
+const ALIGNMENTS = ['left', 'center', 'right'];
+
+/**
+ * Measure the pixel width of one line (no trailing spacing)
+ * @param {string} text - One line of text
+ * @param {string} fontName - Font family
+ * @param {number} letterSpacing - Empty columns between characters
+ * @returns {number} Width in columns
+ */
+function measureLine(text, fontName = 'standard', letterSpacing = 1) {
+    const glyphs = getFont(fontName).glyphs;
+    const widths = tokenize(text, fontName)
+        .filter(char => glyphs[char])
+        .map(char => glyphs[char][0].length);
+
+    if (widths.length === 0) return 0;
+    return widths.reduce((sum, w) => sum + w, 0) + letterSpacing * (widths.length - 1);
+}
+
+/**
+ * Lay out text in one font and spacing, without shrinking
+ */
+function layoutWith(text, fontName, letterSpacing, align, startWeek) {
+    const font = getFont(fontName);
+    const available = GRAPH_COLUMNS - startWeek;
+    const lines = text.split(LINE_SEPARATOR).map(line => {
+        const width = measureLine(line, font.name, letterSpacing);
+        const free = Math.max(0, available - width);
+        const shift = align === 'right' ? free : align === 'center' ? Math.floor(free / 2) : 0;
+        return { text: line, width, startWeek: startWeek + shift };
+    });
+    const width = Math.max(0, ...lines.map(line => line.width));
+    const tooManyLines = lines.length > getMaxLines(font.name);
+
+    return {
+        font: font.name,
+        letterSpacing,
+        align,
+        available,
+        width,
+        lines,
+        fits: !tooManyLines && width <= available,
+        tooManyLines,
+        shrunk: false,
+    };
+}
+
+/**
+ * Lay out a (possibly multi-line) text on the graph
+ *
+ * With autoFit, a text that is too wide is shrunk before giving up: first by
+ * tightening the letter spacing to 0, then by trying the smaller font families.
+ *
+ * @param {string} text - Text, lines separated by '|'
+ * @param {Object} options
+ * @param {string} options.font - Font family (default 'standard')
+ * @param {number} options.letterSpacing - Empty columns between characters (default 1)
+ * @param {'left'|'center'|'right'} options.align - Alignment in the columns right of startWeek
+ * @param {number} options.startWeek - First usable column (default 0)
+ * @param {boolean} options.autoFit - Shrink spacing / font instead of overflowing
+ * @returns {{ font: string, letterSpacing: number, align: string, available: number, width: number,
+ *   lines: Array<{text: string, width: number, startWeek: number}>, fits: boolean, tooManyLines: boolean, shrunk: boolean }}
+ */
+function layoutText(text, { font = 'standard', letterSpacing = 1, align = 'left', startWeek = 0, autoFit = false } = {}) {
+    const alignment = ALIGNMENTS.includes(align) ? align : 'left';
+    const requested = layoutWith(text, font, letterSpacing, alignment, startWeek);
+    if (requested.fits || !autoFit) return requested;
+
+    // Smaller fonts first by height, never a taller one than requested
+    const height = getFont(font).height;
+    const candidates = Object.values(FONTS)
+        .filter(f => f.height <= height)
+        .sort((a, b) => b.height - a.height)
+        .map(f => f.name);
+
+    for (const fontName of candidates) {
+        const glyphs = getFont(fontName).glyphs;
+        const supported = text.split(LINE_SEPARATOR).every(line => tokenize(line, fontName).every(char => glyphs[char]));
+        if (!supported) continue;
+
+        const widestSpacing = fontName === requested.font ? letterSpacing - 1 : letterSpacing;
+        for (let spacing = widestSpacing; spacing >= 0; spacing--) {
+            const attempt = layoutWith(text, fontName, spacing, alignment, startWeek);
+            if (attempt.fits) return { ...attempt, shrunk: true };
+        }
+    }
+
+    return requested;
+}
+
+/**
+ * Describe why a layout does not fit, one message per problem
+ * @param {Object} layout - Result of layoutText
+ * @returns {string[]} Empty when the layout fits
+ */
+function describeOverflow(layout) {
+    const messages = [];
+
+    if (layout.tooManyLines) {
+        messages.push(`The ${layout.font} font fits ${getMaxLines(layout.font)} line(s), got ${layout.lines.length}`);
+    }
+
+    for (const line of layout.lines) {
+        if (line.width <= layout.available) continue;
+        const { count } = getMaxChars(line.text, layout.font, layout.letterSpacing, layout.available);
+        const dropped = tokenize(line.text, layout.font).slice(count).join('');
+        messages.push(
+            `"${line.text}" is ${line.width} columns wide but only ${layout.available} are free ` +
+            `(${line.width - layout.available} over, "${dropped}" would be cut off)`
+        );
+    }
+
+    return messages;
+}
+
+module.exports = { GRAPH_COLUMNS, ALIGNMENTS, measureLine, layoutText, describeOverflow };
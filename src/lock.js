@@ -0,0 +1,86 @@
+/**
+ * Lock Module
+ * A lock file that keeps two runs (e.g. an overlapping timer run) from committing at the same time
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A lock from another machine older than this is assumed abandoned
+const STALE_AFTER_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Read a lock file
+ * @returns {{pid: number, hostname: string, startedAt: string}|null} null when missing or unreadable
+ */
+function readLock(lockPath) {
+    try {
+        return JSON.parse(fs.readFileSync(lockPath, 'utf-8'));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Check whether a lock was left behind by a run that is gone
+ */
+function isStale(lock, lockPath) {
+    if (!lock || !lock.pid || !lock.startedAt) {
+        // Another run may be writing it right now; only an old, unreadable lock is abandoned
+        try {
+            return Date.now() - fs.statSync(lockPath).mtimeMs > 10000;
+        } catch {
+            return true;
+        }
+    }
+    const startedAt = new Date(lock.startedAt).getTime();
+    // Another machine's processes cannot be checked (e.g. a data dir on a shared drive)
+    if (lock.hostname !== os.hostname()) return Date.now() - startedAt > STALE_AFTER_MS;
+    // Taken before the last boot: its PID may belong to another process by now
+    if (startedAt < Date.now() - os.uptime() * 1000) return true;
+
+    try {
+        process.kill(lock.pid, 0);
+        return false;
+    } catch (err) {
+        return err.code === 'ESRCH';
+    }
+}
+
+/**
+ * Take the lock, replacing a stale one
+ * @param {string} lockPath - Path of the lock file
+ * @returns {{ release: Function, holder: null } | { release: null, holder: Object }}
+ *   release() to give the lock back, or the lock of the run that holds it
+ */
+function acquireLock(lockPath) {
+    fs.mkdirSync(path.dirname(lockPath), { recursive: true });
+    const lock = { pid: process.pid, hostname: os.hostname(), startedAt: new Date().toISOString() };
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+        try {
+            // 'wx' fails if the file exists, so only one run can create it
+            const fd = fs.openSync(lockPath, 'wx');
+            fs.writeSync(fd, JSON.stringify(lock));
+            fs.closeSync(fd);
+
+            return {
+                release: () => {
+                    if (readLock(lockPath)?.pid === process.pid) fs.rmSync(lockPath, { force: true });
+                },
+                holder: null,
+            };
+        } catch (err) {
+            if (err.code !== 'EEXIST') throw err;
+
+            const holder = readLock(lockPath);
+            if (!isStale(holder, lockPath)) return { release: null, holder };
+            fs.rmSync(lockPath, { force: true });
+        }
+    }
+
+    return { release: null, holder: readLock(lockPath) };
+}
+
+module.exports = { acquireLock, readLock };
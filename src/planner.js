@@ -1,10 +1,12 @@
 /**
  * Planner Module
- * Converts text + year into a list of { date, commits } entries
+ * Converts text (or an imported image) + year (or a rolling 12-month window)
+ * into a list of { date, commits } entries
  * Maps pixel font characters onto the GitHub contribution graph grid
  */
 
-const { FONT, getCharWidth } = require('./fonts');
+const { getFont, getMaxLines, tokenize } = require('./fonts');
+const { GRAPH_COLUMNS, ALIGNMENTS, layoutText, describeOverflow } = require('./layout');
 
 /**
  * Get the first Sunday of the year (start of contribution graph)
@@ -19,6 +21,53 @@ function getGraphStartDate(year) {
     return startDate;
 }
 
+/**
+ * Parse a YYYY-MM-DD string as a local date
+ */
+function parseDate(dateStr) {
+    const [y, m, d] = dateStr.split('-').map(Number);
+    return new Date(y, m - 1, d);
+}
+
+/**
+ * Describe the visible graph window (the "canvas")
+ *
+ * A number is a calendar year, anchored on the first Sunday on or before Jan 1.
+ * `{ endDate }` is the trailing 12 months the profile shows by default:
+ * week 0 is the Sunday 52 weeks before the end date's week.
+ *
+ * @param {number|{endDate: string}} range - Target year, or rolling window end (YYYY-MM-DD)
+ * @returns {{ start: Date, from: string, to: string, label: string, rolling: boolean }}
+ *   start = Sunday of column 0, from/to = first/last visible date (YYYY-MM-DD)
+ * @throws {Error} When the end date is not a real YYYY-MM-DD date
+ */
+function getCanvas(range) {
+    if (range && typeof range === 'object') {
+        const end = /^\d{4}-\d{2}-\d{2}$/.test(range.endDate) ? parseDate(range.endDate) : null;
+        // parseDate rolls 2026-02-31 over to March 3rd, so the date has to read back the same
+        if (!end || formatDate(end) !== range.endDate) {
+            throw new Error(`Invalid end date '${range.endDate}': use a real date as YYYY-MM-DD`);
+        }
+        const start = new Date(end);
+        start.setDate(end.getDate() - end.getDay() - 52 * 7);
+        return {
+            start,
+            from: formatDate(start),
+            to: range.endDate,
+            label: `last 12 months to ${range.endDate}`,
+            rolling: true,
+        };
+    }
+
+    return {
+        start: getGraphStartDate(range),
+        from: `${range}-01-01`,
+        to: `${range}-12-31`,
+        label: String(range),
+        rolling: false,
+    };
+}
+
 /**
  * Convert a week/day offset to an actual date
  * @param {Date} graphStart - First Sunday of the graph
@@ -42,35 +91,76 @@ function formatDate(date) {
     return `${y}-${m}-${d}`;
 }
 
+const MAX_LEVEL = 4;
+
 /**
- * Generate the full commit plan for a text
- * @param {string} text - Text to draw
- * @param {number} year - Target year
- * @param {number} commitsPerPixel - Number of commits per filled pixel (default 20)
- * @param {number} startWeek - Week offset to start drawing (default 0)
- * @param {number|null} globalBackgroundLevel - The target total commits for background padding (e.g. 45)
- * @param {Object} scrapedExisting - Existing commits scraped from GitHub { 'YYYY-MM-DD': count }
- * @returns {Array<{date: string, commits: number, char: string, row: number, col: number}>}
+ * GitHub buckets a day relative to the distribution of the non-zero days in view:
+ * 0 for no contributions, then 1–4 by the quartiles of the non-zero daily counts.
+ * @param {number[]} counts - Daily totals in the visible range
+ * @returns {number[]} [q1, q2, q3] upper bounds of levels 1–3
  */
-function generatePlan(text, year, commitsPerPixel = 20, startWeek = 0, globalBackgroundLevel = null, scrapedExisting = {}) {
-    // Generate text pixels first
-    const graphStart = getGraphStartDate(year);
-    const upperText = text.toUpperCase();
-    const textPlanMap = new Map(); // Store text pixels by date
+function getQuartiles(counts) {
+    const nonZero = counts.filter(c => c > 0).sort((a, b) => a - b);
+    if (nonZero.length === 0) return [0, 0, 0];
 
-    let currentWeek = startWeek;
+    const at = (q) => nonZero[Math.max(0, Math.ceil(q * nonZero.length) - 1)];
+    return [at(0.25), at(0.5), at(0.75)];
+}
 
-    for (let ci = 0; ci < upperText.length; ci++) {
-        const char = upperText[ci];
+/**
+ * Level (0–4) of a daily count for the given quartiles
+ */
+function levelFor(count, quartiles) {
+    if (count <= 0) return 0;
+    if (count <= quartiles[0]) return 1;
+    if (count <= quartiles[1]) return 2;
+    if (count <= quartiles[2]) return 3;
+    return MAX_LEVEL;
+}
 
-        // Handle special multi-char symbols
-        let charKey = char;
-        if (char === '<' && ci + 1 < upperText.length && upperText[ci + 1] === '3') {
-            charKey = '<3';
-            ci++; // skip the '3'
-        }
+/**
+ * Apply a shading style to a binary text matrix
+ * @param {number[][]} pixels - 7×W matrix, 1 = filled
+ * @param {Object} style
+ * @param {number} style.level - Level of the letterforms (default 4)
+ * @param {number|null} style.shadow - Level of a drop shadow 1 column right / 1 row down
+ * @param {'vertical'|'horizontal'|null} style.gradient - Fade the letterforms from `level` down to 1
+ * @returns {number[][]} 7×W matrix of levels 0–4
+ */
+function shadePixels(pixels, { level = MAX_LEVEL, shadow = null, gradient = null } = {}) {
+    // Horizontal gradients span the drawn columns, not the whole matrix
+    const filledCols = (pixels[0] || []).map((_, col) => col).filter(col => pixels.some(row => row[col]));
+    const first = filledCols.length ? filledCols[0] : 0;
+    const span = filledCols.length ? filledCols[filledCols.length - 1] - first : 0;
+    const levelAt = (row, col) => {
+        if (gradient === 'vertical') return Math.round(level - ((level - 1) * row) / 6);
+        if (gradient === 'horizontal') return Math.round(level - ((level - 1) * (col - first)) / Math.max(1, span));
+        return level;
+    };
+
+    return pixels.map((cells, row) => cells.map((filled, col) => {
+        if (filled) return levelAt(row, col);
+        if (shadow && row > 0 && col > 0 && pixels[row - 1][col - 1]) return shadow;
+        return 0;
+    }));
+}
 
-        const matrix = FONT[charKey];
+/**
+ * Rasterize one line of text in a font, stopping at the first character that would overflow
+ * @param {string} text - One line of text
+ * @param {Object} font - Font family (see getFont)
+ * @param {number} startWeek - Week offset the line starts at
+ * @param {number} letterSpacing - Empty columns between characters (default 1)
+ * @returns {{ pixels: number[][], labels: string[] }} font.height × W matrix + per-column char
+ */
+function rasterizeLine(text, font, startWeek, letterSpacing = 1) {
+    const pixels = Array.from({ length: font.height }, () => []);
+    const labels = [];
+
+    let currentWeek = startWeek;
+
+    for (const charKey of tokenize(text, font.name)) {
+        const matrix = font.glyphs[charKey];
         if (!matrix) {
             console.warn(`Warning: Character '${charKey}' not found in font, skipping`);
             continue;
@@ -78,99 +168,358 @@ function generatePlan(text, year, commitsPerPixel = 20, startWeek = 0, globalBac
 
         const charWidth = matrix[0].length;
 
-        // Check if character fits within 52 weeks
-        if (currentWeek + charWidth > 53) {
+        // Check if character fits on the graph
+        if (currentWeek + charWidth > GRAPH_COLUMNS) {
             console.warn(`Warning: Text too long, stopping at character '${charKey}'`);
             break;
         }
 
-        // Map each pixel
-        for (let row = 0; row < 7; row++) {
-            for (let col = 0; col < charWidth; col++) {
-                if (matrix[row][col] === 1) {
-                    const date = offsetToDate(graphStart, currentWeek + col, row);
-                    const dateStr = formatDate(date);
-
-                    // Only include dates within the target year
-                    if (date.getFullYear() === year) {
-                        textPlanMap.set(dateStr, {
-                            date: dateStr,
-                            isText: true,
-                            char: charKey,
-                            row,
-                            col: currentWeek + col,
-                        });
-                    }
-                }
+        // Append the glyph columns plus the spacing gap
+        for (let col = 0; col < charWidth + letterSpacing; col++) {
+            for (let row = 0; row < font.height; row++) {
+                pixels[row].push(col < charWidth ? matrix[row][col] : 0);
             }
+            labels.push(charKey);
         }
 
-        currentWeek += charWidth + 1; // +1 for gap between characters
+        currentWeek += charWidth + letterSpacing;
     }
 
-    const plan = [];
-
-    // If globalBackgroundLevel is set, we need to iterate over all 365 days
-    if (globalBackgroundLevel !== null) {
-        const startDate = new Date(year, 0, 1);
-        const endDate = new Date(year, 11, 31);
+    return { pixels, labels };
+}
 
-        for (let d = new Date(startDate); d <= endDate; d.setDate(d.getDate() + 1)) {
-            const dateStr = formatDate(d);
-            const existing = scrapedExisting[dateStr] || 0;
-            const textEntry = textPlanMap.get(dateStr);
+/**
+ * Rasterize a text onto the full 7×53 graph
+ * Lines are separated by '|' when the font is small enough to stack them (see getMaxLines).
+ * Positions come from layoutText; a layout that still overflows is reported and truncated.
+ * @param {string} text - Text to draw
+ * @param {number} startWeek - Week offset to start drawing (default 0)
+ * @param {Object} options - Layout options of layoutText (font, letterSpacing, align, autoFit)
+ *   plus the shading options of shadePixels
+ * @returns {{ pixels: number[][], labels: string[][] }} 7×53 matrix of levels + the character of every cell
+ */
+function rasterizeText(text, startWeek = 0, options = {}) {
+    const layout = layoutText(text, { ...options, startWeek });
+    for (const message of describeOverflow(layout)) {
+        console.warn(`Warning: ${message}`);
+    }
 
-            // Calculate total target for this day
-            // Background day: needs to reach globalBackgroundLevel
-            // Text day: needs to reach globalBackgroundLevel + commitsPerPixel
-            const targetLevel = textEntry ? (globalBackgroundLevel + commitsPerPixel) : globalBackgroundLevel;
+    const font = getFont(layout.font);
+    const lines = layout.lines.slice(0, getMaxLines(font.name));
 
-            const neededCommits = Math.max(0, targetLevel - existing);
+    // Stack the lines with a 1-row gap, centered vertically in the 7 rows
+    const blockHeight = lines.length * (font.height + 1) - 1;
+    const top = Math.floor((7 - blockHeight) / 2);
+    const pixels = Array.from({ length: 7 }, () => Array(GRAPH_COLUMNS).fill(0));
+    const labels = Array.from({ length: 7 }, () => Array(GRAPH_COLUMNS).fill(null));
 
-            if (neededCommits > 0) {
-                plan.push({
-                    date: dateStr,
-                    commits: neededCommits,
-                    char: textEntry ? textEntry.char : 'bg',
-                    row: textEntry ? textEntry.row : -1,
-                    col: textEntry ? textEntry.col : -1,
-                });
+    lines.forEach((line, index) => {
+        const offset = top + index * (font.height + 1);
+        const rendered = rasterizeLine(line.text, font, line.startWeek, layout.letterSpacing);
+        for (let row = 0; row < font.height; row++) {
+            for (let col = 0; col < rendered.labels.length && line.startWeek + col < GRAPH_COLUMNS; col++) {
+                pixels[offset + row][line.startWeek + col] = rendered.pixels[row][col];
+                labels[offset + row][line.startWeek + col] = rendered.labels[col];
             }
         }
-    } else {
-        // No background padding, just use the text pixels
-        for (const [dateStr, entry] of textPlanMap.entries()) {
-            const existing = scrapedExisting[dateStr] || 0;
-            const targetLevel = commitsPerPixel;
-            const neededCommits = Math.max(0, targetLevel - existing);
-
-            if (neededCommits > 0) {
-                plan.push({
-                    date: entry.date,
-                    commits: neededCommits,
-                    char: entry.char,
-                    row: entry.row,
-                    col: entry.col,
+    });
+
+    // Rows outside the glyphs (e.g. where a drop shadow lands) belong to the column's character,
+    // or to the character on their left past the end of a line
+    let previousOwner = null;
+    for (let col = 0; col < GRAPH_COLUMNS; col++) {
+        const owner = labels.map(row => row[col]).find(label => label !== null) || previousOwner;
+        for (let row = 0; row < 7; row++) {
+            if (labels[row][col] === null) labels[row][col] = owner;
+        }
+        previousOwner = owner;
+    }
+
+    return { pixels: shadePixels(pixels, options), labels };
+}
+
+/**
+ * Generate the full commit plan for a text (see rasterizeText for the layout)
+ * @param {string} text - Text to draw
+ * @param {number|{endDate: string}} year - Target year, or a rolling canvas (see getCanvas)
+ * @param {number} commitsPerPixel - Number of commits per filled pixel (default 20)
+ * @param {number} startWeek - Week offset to start drawing (default 0)
+ * @param {number|null} globalBackgroundLevel - The target total commits for background padding (e.g. 45)
+ * @param {Object} scrapedExisting - Existing commits scraped from GitHub { 'YYYY-MM-DD': count }
+ * @param {Object} options - Layout and shading options (see rasterizeText)
+ * @returns {Array<{date: string, commits: number, level: number, char: string, row: number, col: number}>}
+ */
+function generatePlan(text, year, commitsPerPixel = 20, startWeek = 0, globalBackgroundLevel = null, scrapedExisting = {}, options = {}) {
+    const { pixels, labels } = rasterizeText(text, startWeek, options);
+    return generatePixelPlan(pixels, year, commitsPerPixel, 0, globalBackgroundLevel, scrapedExisting, labels);
+}
+
+const SOLVER_ROUNDS = 50;
+
+/**
+ * Choose the total commits of each art level so GitHub shows every pixel at its level
+ *
+ * The quartiles come from every active day in view: the art, the background and the existing
+ * contributions. Totals start at shares of globalBackgroundLevel + commitsPerPixel, then each
+ * level's total moves into its bucket and the quartiles are taken again, until every pixel lands.
+ * Some mixes of levels land at no totals at all: the quartiles split the active days into four
+ * roughly equal groups, so at most about a quarter of them can show level 4, and a background
+ * covering most of the year leaves room for only two shades. The totals that land the most
+ * pixels are kept then, still ordered like the levels.
+ *
+ * @param {Map<string, {level: number}>} artDays - Art pixels by date (levels 1–4)
+ * @param {Object} canvas - The visible window (see getCanvas)
+ * @param {number} commitsPerPixel - Commits of a level-4 pixel above the background
+ * @param {number|null} globalBackgroundLevel - The target total commits for background padding
+ * @param {Object} scrapedExisting - Existing commits scraped from GitHub { 'YYYY-MM-DD': count }
+ * @returns {{ targets: number[], totals: Object<string, number>, levels: Object<string, number>,
+ *   quartiles: number[], missed: number }} targets[level] = total a pixel of the level aims for;
+ *   totals/levels = total and resulting level of every visible day; missed = pixels off their level
+ */
+function solveLevelTargets(artDays, canvas, commitsPerPixel, globalBackgroundLevel, scrapedExisting) {
+    const background = globalBackgroundLevel || 0;
+    const dates = [];
+    for (let d = parseDate(canvas.from); formatDate(d) <= canvas.to; d.setDate(d.getDate() + 1)) {
+        dates.push(formatDate(d));
+    }
+    const present = [...new Set([...artDays.values()].map(entry => entry.level))].sort((a, b) => a - b);
+
+    const attempt = (targets) => {
+        const totals = {};
+        for (const date of dates) {
+            const entry = artDays.get(date);
+            totals[date] = Math.max(scrapedExisting[date] || 0, entry ? targets[entry.level] : background);
+        }
+        const quartiles = getQuartiles(Object.values(totals));
+        const levels = {};
+        let missed = 0;
+        let commits = 0;
+        for (const date of dates) {
+            levels[date] = levelFor(totals[date], quartiles);
+            commits += totals[date] - (scrapedExisting[date] || 0);
+            if (artDays.has(date) && levels[date] !== artDays.get(date).level) missed++;
+        }
+        return { targets, totals, levels, quartiles, missed, commits };
+    };
+
+    let targets = [0, 1, 2, 3, 4].map(level => level && background + Math.max(1, Math.floor((level * commitsPerPixel) / MAX_LEVEL)));
+    let best = null;
+    for (let round = 0; round < SOLVER_ROUNDS; round++) {
+        const result = attempt(targets);
+        if (!best || result.missed < best.missed || (result.missed === best.missed && result.commits < best.commits)) {
+            best = result;
+        }
+        if (result.missed === 0) break;
+
+        // Clamp each level's total into its bucket, darker levels staying above lighter ones
+        const [q1, q2, q3] = result.quartiles;
+        const buckets = [null, [1, q1], [q1 + 1, q2], [q2 + 1, q3], [q3 + 1, Infinity]];
+        const next = [...targets];
+        let previous = 0;
+        for (const level of present) {
+            const [low, high] = buckets[level];
+            next[level] = Math.max(previous + 1, Math.min(Math.max(targets[level], low), Math.max(low, high)));
+            previous = next[level];
+        }
+        if (next.every((total, level) => total === targets[level])) break;
+        targets = next;
+    }
+
+    const { commits, ...solution } = best;
+    return solution;
+}
+
+/**
+ * Generate the commit plan for an arbitrary 7-row pixel matrix (e.g. an imported image)
+ *
+ * Pixel values are GitHub levels 0–4. Each level gets the total that puts its days in that
+ * level's quartile bucket once the whole graph is counted (see solveLevelTargets).
+ *
+ * @param {number[][]} pixels - 7×W matrix of levels, 0 = empty, 4 = darkest
+ * @param {number|{endDate: string}} year - Target year, or a rolling canvas (see getCanvas)
+ * @param {number} commitsPerPixel - Number of commits per level-4 pixel
+ * @param {number} startWeek - Week offset of the matrix's first column
+ * @param {number|null} globalBackgroundLevel - The target total commits for background padding
+ * @param {Object} scrapedExisting - Existing commits scraped from GitHub { 'YYYY-MM-DD': count }
+ * @param {Array<Array<string>>|string} labels - Per-pixel label matrix recorded as `char`, or one label for all pixels
+ * @returns {Array<{date: string, commits: number, level: number, char: string, row: number, col: number}>}
+ *   level = the level GitHub will show the day at
+ */
+function generatePixelPlan(pixels, year, commitsPerPixel = 20, startWeek = 0, globalBackgroundLevel = null, scrapedExisting = {}, labels = 'img') {
+    const canvas = getCanvas(year);
+    const graphStart = canvas.start;
+    const textPlanMap = new Map(); // Store text pixels by date
+    const width = pixels[0] ? pixels[0].length : 0;
+
+    for (let row = 0; row < 7; row++) {
+        for (let col = 0; col < width && startWeek + col < 53; col++) {
+            const level = pixels[row][col];
+            if (!(level > 0)) continue;
+
+            const date = offsetToDate(graphStart, startWeek + col, row);
+            const dateStr = formatDate(date);
+
+            // Only include dates within the visible canvas
+            if (dateStr >= canvas.from && dateStr <= canvas.to) {
+                textPlanMap.set(dateStr, {
+                    date: dateStr,
+                    isText: true,
+                    level: Math.min(level, MAX_LEVEL),
+                    char: Array.isArray(labels) ? labels[row][col] : labels,
+                    row,
+                    col: startWeek + col,
                 });
             }
         }
     }
 
+    const { totals, levels } = solveLevelTargets(textPlanMap, canvas, commitsPerPixel, globalBackgroundLevel, scrapedExisting);
+
+    // Without a background every other day stays at its existing count, i.e. needs nothing
+    const plan = [];
+    for (const [dateStr, total] of Object.entries(totals)) {
+        const neededCommits = total - (scrapedExisting[dateStr] || 0);
+        if (neededCommits <= 0) continue;
+
+        const textEntry = textPlanMap.get(dateStr);
+        plan.push({
+            date: dateStr,
+            commits: neededCommits,
+            level: levels[dateStr],
+            char: textEntry ? textEntry.char : 'bg',
+            row: textEntry ? textEntry.row : -1,
+            col: textEntry ? textEntry.col : -1,
+        });
+    }
+
     // Sort by date
     plan.sort((a, b) => a.date.localeCompare(b.date));
 
     return plan;
 }
 
+/**
+ * Find the days inside the art where existing contributions already exceed the target
+ * Adding commits cannot lower those days, so they show darker than the design: a filled
+ * gap inside a letter, a blot on the background or a pixel heavier than its shade.
+ * Takes the same arguments as generatePixelPlan.
+ * @returns {Array<{date: string, row: number, col: number, existing: number, target: number}>}
+ */
+function findConflicts(pixels, year, commitsPerPixel = 20, startWeek = 0, globalBackgroundLevel = null, scrapedExisting = {}) {
+    const canvas = getCanvas(year);
+    const width = pixels[0] ? pixels[0].length : 0;
+    const filledCols = [];
+    for (let col = 0; col < width && startWeek + col < 53; col++) {
+        if (pixels.some(row => row[col] > 0)) filledCols.push(col);
+    }
+    if (filledCols.length === 0) return [];
+
+    const artDays = new Map();
+    for (const col of filledCols) {
+        for (let row = 0; row < 7; row++) {
+            if (pixels[row][col] > 0) {
+                artDays.set(formatDate(offsetToDate(canvas.start, startWeek + col, row)), { level: Math.min(pixels[row][col], MAX_LEVEL) });
+            }
+        }
+    }
+    const { targets } = solveLevelTargets(artDays, canvas, commitsPerPixel, globalBackgroundLevel, scrapedExisting);
+
+    const conflicts = [];
+    for (let col = filledCols[0]; col <= filledCols[filledCols.length - 1]; col++) {
+        for (let row = 0; row < 7; row++) {
+            const dateStr = formatDate(offsetToDate(canvas.start, startWeek + col, row));
+            if (dateStr < canvas.from || dateStr > canvas.to) continue;
+
+            const level = pixels[row][col];
+            const target = level > 0 ? targets[Math.min(level, MAX_LEVEL)] : globalBackgroundLevel || 0;
+            const existing = scrapedExisting[dateStr] || 0;
+            if (existing > target) {
+                conflicts.push({ date: dateStr, row, col: startWeek + col, existing, target });
+            }
+        }
+    }
+
+    return conflicts.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Rank every placement of the art by how well it sits on the existing contributions
+ *
+ * Text is tried at every start week where it fits, in each of the given alignments
+ * (placements that land on the same columns are only counted once); an image at every
+ * start week where it is fully on the graph. Placements that lose pixels to the days
+ * outside the canvas (the partial first and last weeks) are skipped. Placements with the fewest conflicts (see
+ * findConflicts) come first, then the ones needing the fewest commits, then the earliest.
+ *
+ * @param {{text: string}|{pixels: number[][]}} art - Text to lay out, or a 7-row level matrix
+ * @param {number|{endDate: string}} year - Target year, or a rolling canvas (see getCanvas)
+ * @param {number} commitsPerPixel - Number of commits per level-4 pixel
+ * @param {number|null} globalBackgroundLevel - The target total commits for background padding
+ * @param {Object} scrapedExisting - Existing commits scraped from GitHub { 'YYYY-MM-DD': count }
+ * @param {Object} options - Layout and shading options (see rasterizeText)
+ * @param {string[]} options.alignments - Alignments to try (default: only options.align)
+ * @returns {Array<{startWeek: number, align: string, commits: number, days: number, conflicts: number}>}
+ */
+function optimizePlacement(art, year, commitsPerPixel = 20, globalBackgroundLevel = null, scrapedExisting = {}, options = {}) {
+    const { alignments = [options.align || 'left'], ...layoutOptions } = options;
+    const candidates = [];
+    const seen = new Set();
+
+    const canvas = getCanvas(year);
+    const evaluate = (pixels, labels, offset, startWeek, align) => {
+        // Days before or after the canvas would cut pixels off the art
+        const clipped = pixels.some((cells, row) => cells.some((level, col) => {
+            if (!(level > 0)) return false;
+            const dateStr = formatDate(offsetToDate(canvas.start, offset + col, row));
+            return dateStr < canvas.from || dateStr > canvas.to;
+        }));
+        if (clipped) return;
+
+        const plan = generatePixelPlan(pixels, year, commitsPerPixel, offset, globalBackgroundLevel, scrapedExisting, labels);
+        candidates.push({
+            startWeek,
+            align,
+            commits: plan.reduce((sum, e) => sum + e.commits, 0),
+            days: plan.length,
+            conflicts: findConflicts(pixels, year, commitsPerPixel, offset, globalBackgroundLevel, scrapedExisting).length,
+        });
+    };
+
+    if (art.pixels) {
+        const width = art.pixels[0] ? art.pixels[0].length : 0;
+        for (let startWeek = 0; startWeek <= Math.max(0, GRAPH_COLUMNS - width); startWeek++) {
+            evaluate(art.pixels, 'img', startWeek, startWeek, null);
+        }
+    } else {
+        for (const align of alignments.filter(a => ALIGNMENTS.includes(a))) {
+            for (let startWeek = 0; startWeek < GRAPH_COLUMNS; startWeek++) {
+                const layout = layoutText(art.text, { ...layoutOptions, align, startWeek });
+                const key = `${layout.font}/${layout.letterSpacing}/${layout.lines.map(line => line.startWeek).join(',')}`;
+                if (!layout.fits || seen.has(key)) continue;
+                seen.add(key);
+
+                const { pixels, labels } = rasterizeText(art.text, startWeek, { ...layoutOptions, align });
+                evaluate(pixels, labels, 0, startWeek, align);
+            }
+        }
+    }
+
+    return candidates.sort((a, b) => a.conflicts - b.conflicts
+        || a.commits - b.commits
+        || a.startWeek - b.startWeek);
+}
+
 /**
  * Build a 7×53 grid matrix for visualization
+ * @param {Array} plan - Plan entries
+ * @param {'commits'|'level'} field - Which value to place in each cell
  */
-function buildGrid(plan) {
+function buildGrid(plan, field = 'commits') {
     const grid = Array.from({ length: 7 }, () => Array(53).fill(0));
 
     for (const entry of plan) {
         if (entry.row >= 0 && entry.row < 7 && entry.col >= 0 && entry.col < 53) {
-            grid[entry.row][entry.col] = entry.commits;
+            grid[entry.row][entry.col] = entry[field];
         }
     }
 
@@ -191,4 +540,20 @@ function getPlanStats(plan) {
     return { totalDays, totalCommits, uniqueChars, dateRange };
 }
 
-module.exports = { generatePlan, buildGrid, getPlanStats, getGraphStartDate, formatDate };
+module.exports = {
+    generatePlan,
+    generatePixelPlan,
+    rasterizeText,
+    findConflicts,
+    optimizePlacement,
+    shadePixels,
+    buildGrid,
+    getPlanStats,
+    getGraphStartDate,
+    getCanvas,
+    formatDate,
+    parseDate,
+    getQuartiles,
+    levelFor,
+    MAX_LEVEL
+};
@@ -0,0 +1,142 @@
+/**
+ * Profiles Module
+ * Times of day the commits of a date are drawn from, so the history looks like a person worked it
+ *
+ * Configured in config.json as "timeProfile": a profile name, or a custom histogram per weekday:
+ *   "timeProfile": { "default": [24 hourly weights], "sat": [...], "sun": [...] }
+ * Profiles only reshape time inside hourWindow, so they keep its protection against rollovers.
+ */
+
+const { DEFAULT_HOUR_WINDOW } = require('./timezone');
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Relative weight of each hour of the day (index = hour)
+const HOURLY_PROFILES = {
+    'working-hours': [0, 0, 0, 0, 0, 0, 0, 0, 1, 3, 3, 3, 1, 3, 3, 3, 3, 1, 0, 0, 0, 0, 0, 0],
+    evenings: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 2, 3, 3, 3, 2, 1],
+};
+
+// 'even' is the classic spread: commits step through the hour window by their index
+const PROFILES = ['even', ...Object.keys(HOURLY_PROFILES), 'bursty'];
+
+/**
+ * Validate a time profile against the hour window it is sampled in
+ * @param {string|Object} profile - config.timeProfile
+ * @param {number[]} hourWindow - [start, end) commit hours
+ * @throws {Error} When the profile is unknown, malformed, or has no weight inside the window
+ */
+function validateProfile(profile, hourWindow = DEFAULT_HOUR_WINDOW) {
+    const [start, end] = hourWindow;
+
+    if (typeof profile === 'string') {
+        if (!PROFILES.includes(profile)) {
+            throw new Error(`Unknown timeProfile '${profile}'. Use one of: ${PROFILES.join(', ')}, or a histogram per weekday`);
+        }
+        if (HOURLY_PROFILES[profile] && !HOURLY_PROFILES[profile].slice(start, end).some(w => w > 0)) {
+            throw new Error(`timeProfile '${profile}' has no hours inside hourWindow ${start}-${end}. Widen hourWindow`);
+        }
+        return;
+    }
+
+    if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+        throw new Error('timeProfile must be a profile name or an object of hourly weights per weekday');
+    }
+    for (const [key, weights] of Object.entries(profile)) {
+        if (key !== 'default' && !WEEKDAYS.includes(key)) {
+            throw new Error(`Unknown timeProfile day '${key}'. Use: default, ${WEEKDAYS.join(', ')}`);
+        }
+        if (!Array.isArray(weights) || weights.length !== 24 || weights.some(w => typeof w !== 'number' || !(w >= 0))) {
+            throw new Error(`timeProfile.${key} must list 24 non-negative hourly weights`);
+        }
+    }
+    // Every day can carry art, so every day needs somewhere to put its commits
+    for (const day of WEEKDAYS) {
+        const weights = profile[day] || profile.default;
+        if (weights && !weights.slice(start, end).some(w => w > 0)) {
+            throw new Error(`timeProfile.${profile[day] ? day : 'default'} has no weight inside hourWindow ${start}-${end}`);
+        }
+    }
+}
+
+/**
+ * Hours a named profile puts commits in, as a suggested hour window
+ * @returns {number[]|null} [start, end), or null when the profile uses any hour of the window
+ */
+function getProfileWindow(profile) {
+    const hourly = HOURLY_PROFILES[profile];
+    if (!hourly) return null;
+    const start = hourly.findIndex(w => w > 0);
+    const end = hourly.length - [...hourly].reverse().findIndex(w => w > 0);
+    return [start, end];
+}
+
+/**
+ * Weight of every minute of a date, zero outside the hour window
+ * @param {string|Object} profile - Profile name or custom histogram
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @param {number[]} hourWindow - [start, end) commit hours
+ * @param {Function} dayRandom - Random source shared by every commit of the date (bursty sessions)
+ * @returns {number[]} 1440 weights
+ */
+function getMinuteWeights(profile, date, hourWindow, dayRandom) {
+    const [start, end] = hourWindow;
+    const weights = new Array(24 * 60).fill(0);
+
+    if (profile === 'bursty') {
+        // One to three sessions of 20–60 minutes each
+        const from = start * 60;
+        const span = (end - start) * 60;
+        const sessions = 1 + Math.floor(dayRandom() * 3);
+        for (let s = 0; s < sessions; s++) {
+            const length = Math.min(span, 20 + Math.floor(dayRandom() * 41));
+            const sessionStart = from + Math.floor(dayRandom() * (span - length + 1));
+            for (let m = sessionStart; m < sessionStart + length; m++) weights[m] = 1;
+        }
+        return weights;
+    }
+
+    let hourly = HOURLY_PROFILES[profile];
+    if (!hourly) {
+        const weekday = WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+        hourly = profile[weekday] || profile.default || new Array(24).fill(1);
+    }
+    for (let h = start; h < end; h++) {
+        for (let m = 0; m < 60; m++) weights[h * 60 + m] = hourly[h];
+    }
+    return weights;
+}
+
+/**
+ * Pick the time of one commit from a profile
+ * Commit i of n is drawn from the i-th of n equal slices of the day's distribution, so the
+ * times follow the profile and still increase with the commit index.
+ * @param {string|Object} profile - Profile name or custom histogram (not 'even')
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @param {number} index - Index of the commit within the day
+ * @param {number} total - Total commits for the day
+ * @param {number[]} hourWindow - [start, end) commit hours
+ * @param {Function} random - Random source of this commit
+ * @param {Function} dayRandom - Random source shared by every commit of the date
+ * @returns {string} HH:MM:SS
+ */
+function sampleTime(profile, date, index, total, hourWindow, random, dayRandom) {
+    const weights = getMinuteWeights(profile, date, hourWindow, dayRandom);
+    const sum = weights.reduce((a, b) => a + b, 0);
+    const count = Math.max(1, total, index + 1);
+    let target = ((index + random()) / count) * sum;
+
+    let minute = weights.findIndex(w => w > 0);
+    for (let m = 0; m < weights.length; m++) {
+        if (weights[m] === 0) continue;
+        minute = m;
+        if (target < weights[m]) break;
+        target -= weights[m];
+    }
+    const second = Math.min(59, Math.floor((target / weights[minute]) * 60));
+
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${pad(Math.floor(minute / 60))}:${pad(minute % 60)}:${pad(second)}`;
+}
+
+module.exports = { PROFILES, WEEKDAYS, validateProfile, getProfileWindow, sampleTime };
@@ -0,0 +1,116 @@
+/**
+ * Projects Module
+ * Several pieces of art side by side (different years, repos or accounts), each with its own tracker
+ *
+ * The art at the top of config.json is the default project. More go in "projects"; they share the
+ * account and commit settings of the top level unless they set their own:
+ *   "projects": [{ "name": "hello-2025", "text": "HELLO", "year": 2025, "repoPath": "./art-2025", ... }]
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_PROJECT = 'default';
+
+// Settings of the account and the committer rather than of the art, which projects inherit
+const SHARED_KEYS = [
+    'fontPaths',
+    'batchLimit',
+    'authorName',
+    'authorEmail',
+    'githubUsername',
+    'fastImport',
+    'timezone',
+    'timeProfile',
+    'hourWindow',
+    'messageTemplate',
+    'contentTemplate',
+    'messageCorpus',
+    'targetFiles',
+    'seed',
+];
+
+// Everything that shapes the plan of a piece of art
+const PLAN_KEYS = [
+    'source',
+    'text',
+    'imagePath',
+    'imageMode',
+    'imageThreshold',
+    'imageInvert',
+    'imageShades',
+    'font',
+    'align',
+    'letterSpacing',
+    'autoFit',
+    'textEffect',
+    'canvas',
+    'year',
+    'endDate',
+    'commitsPerPixel',
+    'startWeek',
+    'useSolidBg',
+    'globalBackgroundLevel',
+];
+
+/**
+ * List the projects of a config
+ * @param {Object} config - Saved config
+ * @param {string} dataDir - Data directory; the default project keeps its tracker at the top
+ * @returns {Array<Object>} Project configs with `name` and `dataDir`
+ * @throws {Error} When a project has no usable name or shares a name or repo with another
+ */
+function getProjects(config, dataDir) {
+    const { projects = [], ...main } = config;
+    const shared = Object.fromEntries(SHARED_KEYS.filter(key => key in main).map(key => [key, main[key]]));
+
+    const all = [
+        { ...main, name: DEFAULT_PROJECT, dataDir },
+        ...projects.map(project => ({
+            ...shared,
+            ...project,
+            dataDir: path.join(dataDir, 'projects', String(project.name)),
+        })),
+    ];
+
+    const names = new Set();
+    const repos = new Map();
+    for (const project of all) {
+        if (!/^[\w.-]+$/.test(project.name || '')) {
+            throw new Error(`Invalid project name '${project.name}': use letters, digits, '.', '_' and '-'`);
+        }
+        if (names.has(project.name)) {
+            throw new Error(`Project name '${project.name}' is used twice in config.json`);
+        }
+        names.add(project.name);
+
+        if (!project.repoPath) {
+            throw new Error(`Project '${project.name}' has no repoPath`);
+        }
+        // The tracker of a project counts every commit in its repo, so repos cannot be shared
+        const repo = path.resolve(project.repoPath);
+        if (repos.has(repo)) {
+            throw new Error(`Projects '${repos.get(repo)}' and '${project.name}' use the same repoPath. Give each project its own repo`);
+        }
+        repos.set(repo, project.name);
+    }
+
+    return all;
+}
+
+/**
+ * Fingerprint the inputs of a plan, so a tracker is never applied to different art
+ * @param {Object} config - Project config
+ * @returns {string} 12 hex digits
+ */
+function getPlanFingerprint(config) {
+    const inputs = Object.fromEntries(PLAN_KEYS.map(key => [key, config[key] ?? null]));
+    if (config.source === 'image' && config.imagePath && fs.existsSync(config.imagePath)) {
+        // Editing the image changes the art even when its path stays the same
+        inputs.imageHash = crypto.createHash('sha256').update(fs.readFileSync(config.imagePath)).digest('hex');
+    }
+    return crypto.createHash('sha256').update(JSON.stringify(inputs)).digest('hex').slice(0, 12);
+}
+
+module.exports = { DEFAULT_PROJECT, SHARED_KEYS, getProjects, getPlanFingerprint };
@@ -0,0 +1,47 @@
+/**
+ * Random Module
+ * Seeded pseudo-random numbers, so the same plan and seed produce byte-identical history
+ */
+
+/**
+ * 32-bit FNV-1a hash of a string
+ */
+function hashString(str) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * mulberry32: small, fast PRNG with a 32-bit state
+ * @param {number} state - Initial state
+ * @returns {Function} Returns floats in [0, 1)
+ */
+function mulberry32(state) {
+    let a = state >>> 0;
+    return () => {
+        a = (a + 0x6d2b79f5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Create a random number source
+ * With a seed, the numbers depend only on the seed and the keys (e.g. date and commit index),
+ * not on how the commits were split into batches or runs. Without one, Math.random is used.
+ * @param {string|number|null} seed - config.seed
+ * @param {...(string|number)} keys - What the numbers are for
+ * @returns {Function} Returns floats in [0, 1)
+ */
+function createRandom(seed, ...keys) {
+    if (seed === undefined || seed === null || seed === '') return Math.random;
+    return mulberry32(hashString([seed, ...keys].join(':')));
+}
+
+module.exports = { createRandom };
@@ -20,28 +20,42 @@ function printBanner() {
     console.log('');
 }
 
+// One block per GitHub intensity level (0 = no contributions, 4 = darkest)
+const LEVEL_BLOCKS = [
+    chalk.gray('░░'),
+    chalk.green('▓▓'),
+    chalk.greenBright('▓▓'),
+    chalk.hex('#2ea043')('██'),
+    chalk.hex('#26a641')('██'),
+];
+
 /**
- * Render a colored block based on commit intensity
+ * Render a colored block for a GitHub intensity level (0–4), blank for days outside the range
  */
-function getBlock(commits) {
-    if (commits === 0) return chalk.gray('░░');
-    if (commits <= 4) return chalk.green('▓▓');
-    if (commits <= 9) return chalk.greenBright('▓▓');
-    if (commits <= 14) return chalk.hex('#2ea043')('██');
-    return chalk.hex('#26a641')('██'); // max intensity
+function getBlock(level) {
+    if (level === null || level === undefined) return '  ';
+    return LEVEL_BLOCKS[Math.max(0, Math.min(LEVEL_BLOCKS.length - 1, level))];
 }
 
+// Days where existing contributions break the art
+const CONFLICT_BLOCK = chalk.red('██');
+
 /**
  * Render the contribution graph to terminal
- * @param {number[][]} grid - 7×53 matrix of commit counts
- * @param {number} year - The year for month labels
+ * @param {number[][]} grid - 7×53 matrix of intensity levels (see simulateGraph or buildGrid(plan, 'level'))
+ * @param {number|{endDate: string}} year - The year (or rolling canvas) for month labels
+ * @param {Object} options
+ * @param {string} options.title - Heading (default 'GitHub Contribution Graph Preview')
+ * @param {Array<{row: number, col: number}>} options.highlight - Cells drawn in red
  */
-function renderGrid(grid, year) {
-    const { getGraphStartDate } = require('./planner');
-    const graphStart = getGraphStartDate(year);
+function renderGrid(grid, year, { title = 'GitHub Contribution Graph Preview', highlight = [] } = {}) {
+    const { getCanvas } = require('./planner');
+    const canvas = getCanvas(year);
+    const graphStart = canvas.start;
+    const highlighted = new Set(highlight.map(cell => `${cell.row},${cell.col}`));
 
     console.log('');
-    console.log(chalk.bold.white(`  📊 GitHub Contribution Graph Preview — ${year}`));
+    console.log(chalk.bold.white(`  📊 ${title} — ${canvas.label}`));
     console.log('');
 
     // Month labels row
@@ -64,7 +78,7 @@ function renderGrid(grid, year) {
     for (let row = 0; row < 7; row++) {
         let line = chalk.gray(` ${DAY_LABELS[row]} `);
         for (let col = 0; col < 53; col++) {
-            line += getBlock(grid[row][col]);
+            line += highlighted.has(`${row},${col}`) ? CONFLICT_BLOCK : getBlock(grid[row][col]);
         }
         console.log(line);
     }
@@ -74,11 +88,7 @@ function renderGrid(grid, year) {
     // Legend
     const legend = '  ' +
         chalk.gray('Less ') +
-        chalk.gray('░░') + ' ' +
-        chalk.green('▓▓') + ' ' +
-        chalk.greenBright('▓▓') + ' ' +
-        chalk.hex('#2ea043')('██') + ' ' +
-        chalk.hex('#26a641')('██') +
+        LEVEL_BLOCKS.join(' ') +
         chalk.gray(' More');
     console.log(legend);
     console.log('');
@@ -97,6 +107,55 @@ function renderStats(stats) {
     console.log('');
 }
 
+/**
+ * Render how GitHub will bucket the simulated graph and which real days will fade
+ * @param {Object} simulation - Result of simulateGraph
+ */
+function renderSimulation(simulation) {
+    const [q1, q2, q3] = simulation.quartiles;
+    console.log(chalk.bold.white('  🔍 Simulated Color Scale'));
+    console.log(chalk.gray('  ─────────────────────────────────'));
+    console.log(`  ${chalk.cyan('Level 1:')}  ${chalk.white(`1–${q1}`)} commits`);
+    console.log(`  ${chalk.cyan('Level 2:')}  ${chalk.white(`${Math.min(q1 + 1, q2)}–${q2}`)} commits`);
+    console.log(`  ${chalk.cyan('Level 3:')}  ${chalk.white(`${Math.min(q2 + 1, q3)}–${q3}`)} commits`);
+    console.log(`  ${chalk.cyan('Level 4:')}  ${chalk.white(`${q3 + 1}+`)} commits`);
+
+    const existingDays = Object.values(simulation.days).filter(day => day.existing > 0).length;
+    if (simulation.faded.length > 0) {
+        console.log(chalk.yellow(`  ⚠️  ${simulation.faded.length} of ${existingDays} days with real contributions will look lighter than they do now`));
+    } else if (existingDays > 0) {
+        console.log(chalk.green(`  ℹ️  Your ${existingDays} days of real contributions keep their current shade`));
+    }
+    console.log('');
+}
+
+/**
+ * Render the before/after overlay: the profile today, the art on its own and both combined
+ * @param {Object} overlay - Result of simulateOverlay
+ * @param {number|{endDate: string}} year - The year (or rolling canvas) for month labels
+ */
+function renderOverlay(overlay, year) {
+    renderGrid(overlay.current, year, { title: 'Your graph today' });
+    renderGrid(overlay.art, year, { title: 'Art only' });
+    renderGrid(overlay.combined, year, { title: 'Combined result', highlight: overlay.conflicts });
+
+    if (overlay.conflicts.length === 0) {
+        console.log(chalk.green('  ℹ️  No existing contributions get in the way of the art.'));
+        console.log('');
+        return;
+    }
+
+    console.log(chalk.yellow(`  ⚠️  ${overlay.conflicts.length} day(s) (${CONFLICT_BLOCK}${chalk.yellow(') already have more commits than the art needs there:')}`));
+    for (const conflict of overlay.conflicts.slice(0, 10)) {
+        console.log(chalk.gray(`    ${conflict.date} (week ${conflict.col}) → ${conflict.existing} existing, target ${conflict.target}`));
+    }
+    if (overlay.conflicts.length > 10) {
+        console.log(chalk.gray(`    … and ${overlay.conflicts.length - 10} more`));
+    }
+    console.log(chalk.yellow('  Move the art to another start week to avoid them.'));
+    console.log('');
+}
+
 /**
  * Render a simple text representation (no colors, for logs)
  */
@@ -112,4 +171,4 @@ function renderGridPlain(grid) {
     return lines.join('\n');
 }
 
-module.exports = { renderGrid, renderStats, renderGridPlain, printBanner };
+module.exports = { renderGrid, renderStats, renderSimulation, renderOverlay, renderGridPlain, printBanner };
@@ -2,117 +2,317 @@
 
 /**
  * Reset Script
- * Wipes out all tracking data, configurations, the local repo,
- * AND force-pushes a clean state to the remote repo.
- * Then immediately restarts the Graph Art Service.
+ * Wipes out tracking data, the local repo and the remote history, after backing the history up
+ * to backups/. Without flags it resets everything, including config.json, and restarts the
+ * Graph Art Service.
+ *
+ * Usage:
+ *   node src/reset.js                   Full reset, then the wizard
+ *   node src/reset.js --tracker         Only the tracker data
+ *   node src/reset.js --local           The local repo and the tracker data
+ *   node src/reset.js --remote          Only the remote: force-push a clean history
+ *   node src/reset.js --dry-run         List what would happen (with any of the above)
+ *   node src/reset.js --restore [file]  Push a backup back (default: the project's latest)
+ *   node src/reset.js --project <name>  Only this project (see "projects" in config.json)
  */
 
 const fs = require('fs');
 const path = require('path');
-const { execSync, spawn } = require('child_process');
+const { spawn } = require('child_process');
 const chalk = require('chalk');
+const inquirer = require('inquirer');
+const { DEFAULT_PROJECT, getProjects } = require('./projects');
+const { resetTracker, reconcileTracker } = require('./tracker');
+const { countCommitsByDate, getHead } = require('./committer');
+const { acquireLock } = require('./lock');
+const {
+    DEFAULT_BACKUP_DIR,
+    backupLocal,
+    backupRemote,
+    pushCleanSlate,
+    verifyBundle,
+    restoreLocal,
+    readBundleHead,
+    readRemoteRefs,
+    pushBundle,
+    findLatestBackup
+} = require('./backup');
 
-console.log('');
-console.log(chalk.red.bold('  ⚠️  Resetting Graph Art Service...'));
-console.log('');
+const rootDir = path.join(__dirname, '..');
+const dataDir = path.join(rootDir, 'data');
+const configPath = path.join(rootDir, 'config.json');
 
-const dataDir = path.join(__dirname, '..', 'data');
-const configPath = path.join(__dirname, '..', 'config.json');
+/**
+ * Read the projects to reset before anything is deleted
+ * Without a readable config there is only the default repo location.
+ */
+function loadProjects(projectName) {
+    let projects = [{ name: DEFAULT_PROJECT, repoPath: path.join(rootDir, 'art-repo'), repoUrl: '', dataDir }];
+    if (fs.existsSync(configPath)) {
+        try {
+            projects = getProjects(JSON.parse(fs.readFileSync(configPath, 'utf8')), dataDir);
+        } catch (err) {
+            console.log(chalk.yellow(`  ⚠️  Could not read config.json (${err.message}). Using the default repo location.`));
+        }
+    }
 
-// 1. Read config to find repoPath and repoUrl before deleting
-let repoPath = path.join(__dirname, '..', 'art-repo');
-let repoUrl = '';
-if (fs.existsSync(configPath)) {
-    try {
-        const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
-        if (config.repoPath) repoPath = config.repoPath;
-        if (config.repoUrl) repoUrl = config.repoUrl;
-    } catch (e) {
-        // Ignore config parse errors
+    if (!projectName) return projects;
+    const selected = projects.filter(project => project.name === projectName);
+    if (selected.length === 0) {
+        throw new Error(`No project named '${projectName}'. Projects: ${projects.map(project => project.name).join(', ')}`);
     }
+    return selected;
 }
 
-// 2. Delete Tracker Data
-const trackerFile = path.join(dataDir, 'commits.json');
-if (fs.existsSync(trackerFile)) {
-    try {
-        fs.unlinkSync(trackerFile);
-        console.log(chalk.gray('  ✓ Deleted tracker data (data/commits.json)'));
-    } catch (err) {
-        console.error(chalk.red(`  ✗ Failed to delete tracker data: ${err.message}`));
+/**
+ * List the steps of a reset
+ * Steps run in order and the first failure stops the rest: history is only thrown away after
+ * its backup was written, and local state only once the remote was cleaned.
+ * @returns {Array<{ description: string, forcePush?: boolean, warning?: boolean, run: Function }>}
+ */
+function planReset(projects, scope) {
+    const steps = [];
+
+    for (const project of projects) {
+        const tag = projects.length > 1 ? `[${project.name}] ` : '';
+        const hasRepo = fs.existsSync(project.repoPath);
+
+        if (scope.local && hasRepo) {
+            steps.push({
+                description: `${tag}Back up ${project.repoPath} to backups/`,
+                run: () => {
+                    const bundle = backupLocal(project.repoPath, project.name);
+                    console.log(chalk.gray(bundle
+                        ? `  ✓ ${tag}Backed up the local repository to ${path.relative(rootDir, bundle)}`
+                        : `  - ${tag}The local repository has no commits to back up`));
+                },
+            });
+        }
+
+        let remoteState = null;
+        if (scope.remote && project.repoUrl) {
+            steps.push({
+                description: `${tag}Back up ${project.repoUrl} to backups/`,
+                run: () => {
+                    remoteState = backupRemote(project.repoUrl, project.name);
+                    console.log(chalk.gray(remoteState.bundlePath
+                        ? `  ✓ ${tag}Backed up the remote repository to ${path.relative(rootDir, remoteState.bundlePath)}`
+                        : `  - ${tag}The remote repository has no commits to back up`));
+                },
+            });
+            steps.push({
+                description: `${tag}Force-push a blank history to ${project.repoUrl}`,
+                forcePush: true,
+                run: () => {
+                    const author = project.authorEmail ? { name: project.authorName || '', email: project.authorEmail } : null;
+                    pushCleanSlate(project.repoUrl, remoteState, author);
+                    console.log(chalk.green(`  ✓ ${tag}Remote repository cleaned (force-pushed a clean ${remoteState.branch})`));
+                },
+            });
+        }
+
+        if (scope.tracker) {
+            // The streak keeper commits to the default project's repo and keeps its own tracker
+            const dirs = project.name === DEFAULT_PROJECT ? [project.dataDir, path.join(project.dataDir, 'streak')] : [project.dataDir];
+            steps.push({
+                description: `${tag}Delete the tracker data in ${dirs.map(dir => path.relative(rootDir, dir)).join(', ')}`,
+                run: () => {
+                    dirs.forEach(dir => resetTracker(dir));
+                    console.log(chalk.gray(`  ✓ ${tag}Deleted tracker data (commits.json, journal.log, batches.json)`));
+                },
+            });
+        }
+
+        if (scope.local && hasRepo) {
+            steps.push({
+                description: `${tag}Delete the local repository ${project.repoPath}`,
+                run: () => {
+                    fs.rmSync(project.repoPath, { recursive: true, force: true });
+                    console.log(chalk.gray(`  ✓ ${tag}Deleted local repository (${path.basename(project.repoPath)})`));
+                },
+            });
+        }
+    }
+
+    if (scope.config && fs.existsSync(configPath)) {
+        steps.push({
+            description: 'Delete the configuration (config.json, copied to backups/)',
+            run: () => {
+                // --restore needs it to know where the backups go
+                const copy = path.join(DEFAULT_BACKUP_DIR, `${new Date().toISOString().replace(/[:.]/g, '-')}-config.json`);
+                fs.mkdirSync(DEFAULT_BACKUP_DIR, { recursive: true });
+                fs.copyFileSync(configPath, copy);
+                fs.unlinkSync(configPath);
+                console.log(chalk.gray(`  ✓ Deleted configuration (config.json, a copy is in ${path.relative(rootDir, copy)})`));
+            },
+        });
     }
-} else {
-    console.log(chalk.gray('  - No tracker data found (already clean)'));
+
+    return steps;
 }
 
-// 3. Delete local repo
-if (fs.existsSync(repoPath)) {
-    try {
-        fs.rmSync(repoPath, { recursive: true, force: true });
-        console.log(chalk.gray(`  ✓ Deleted local repository (${path.basename(repoPath)})`));
-    } catch (err) {
-        console.error(chalk.red(`  ✗ Failed to delete repository: ${err.message}`));
+/**
+ * List the steps of restoring a backup
+ * A missing local repo is recreated from it. One that moved on or diverged from it is backed up
+ * and replaced too: the next run would push on top of it, and its tracker describes its history.
+ */
+function planRestore(project, bundlePath) {
+    const steps = [];
+    const name = path.relative(rootDir, bundlePath);
+
+    if (!fs.existsSync(project.repoPath)) {
+        steps.push({
+            description: `Recreate ${project.repoPath} from ${name} and rebuild its tracker`,
+            run: () => {
+                restoreLocal(bundlePath, project.repoPath, project.repoUrl);
+                reconcileTracker(countCommitsByDate(project.repoPath), project.dataDir);
+                console.log(chalk.gray(`  ✓ Restored the local repository (${path.basename(project.repoPath)})`));
+            },
+        });
+    } else if (getHead(project.repoPath) !== readBundleHead(bundlePath)) {
+        steps.push({
+            description: `${project.repoPath} is not at the HEAD of ${name}: back it up to backups/, replace it from ${name} and rebuild its tracker`,
+            warning: true,
+            run: () => {
+                const bundle = backupLocal(project.repoPath, project.name);
+                if (bundle) console.log(chalk.gray(`  ✓ Backed up the local repository to ${path.relative(rootDir, bundle)}`));
+                fs.rmSync(project.repoPath, { recursive: true, force: true });
+                restoreLocal(bundlePath, project.repoPath, project.repoUrl);
+                reconcileTracker(countCommitsByDate(project.repoPath), project.dataDir);
+                console.log(chalk.gray(`  ✓ Replaced the local repository (${path.basename(project.repoPath)})`));
+            },
+        });
     }
-} else {
-    console.log(chalk.gray('  - No local repository found (already clean)'));
+
+    if (project.repoUrl) {
+        // Read now, before the confirmation, so a remote that moves while we ask is not overwritten
+        const remoteRefs = readRemoteRefs(project.repoUrl);
+        steps.push({
+            description: `Force-push every branch in ${name} to ${project.repoUrl}`,
+            forcePush: true,
+            run: () => {
+                pushBundle(bundlePath, project.repoUrl, remoteRefs);
+                console.log(chalk.green(`  ✓ Remote repository restored from ${name}`));
+            },
+        });
+    }
+
+    return steps;
 }
 
-// 4. Force-push a clean state to the remote (MOST IMPORTANT!)
-if (repoUrl) {
-    console.log('');
-    console.log(chalk.yellow(`  🧹 Cleaning remote repository: ${repoUrl}`));
-    try {
-        // Create a fresh temporary repo
-        const tempDir = path.join(__dirname, '..', '.temp-reset-repo');
-        if (fs.existsSync(tempDir)) {
-            fs.rmSync(tempDir, { recursive: true, force: true });
-        }
-        fs.mkdirSync(tempDir, { recursive: true });
+// ─── Main ───────────────────────────────────────────────────────────
+async function main() {
+    const args = process.argv.slice(2);
+    const valueOf = (flag) => {
+        const value = args.includes(flag) ? args[args.indexOf(flag) + 1] : null;
+        return value && !value.startsWith('--') ? value : null;
+    };
+    const dryRun = args.includes('--dry-run');
+    const restore = args.includes('--restore');
+    // A backup belongs to one project: the default one unless --project names another
+    const projects = loadProjects(valueOf('--project') || (restore ? DEFAULT_PROJECT : null));
 
-        execSync('git init', { cwd: tempDir, stdio: 'pipe' });
-        execSync('git checkout -b main', { cwd: tempDir, stdio: 'pipe' });
+    // No scope flag means everything, and starting over with the wizard
+    const scoped = ['--tracker', '--local', '--remote'].some(flag => args.includes(flag));
+    const scope = {
+        tracker: !scoped || args.includes('--tracker') || args.includes('--local'),
+        local: !scoped || args.includes('--local'),
+        remote: !scoped || args.includes('--remote'),
+        config: !scoped && !valueOf('--project'),
+    };
 
-        // Create a single initial commit
-        fs.writeFileSync(path.join(tempDir, '.contribution'), '# Contribution Graph Art\n');
-        execSync('git add .contribution', { cwd: tempDir, stdio: 'pipe' });
-        execSync('git commit -m "init: clean slate"', { cwd: tempDir, stdio: 'pipe' });
+    console.log('');
+    let steps;
+    if (restore) {
+        const bundlePath = valueOf('--restore') ? path.resolve(valueOf('--restore')) : findLatestBackup(projects[0].name);
+        if (!bundlePath || !fs.existsSync(bundlePath)) {
+            throw new Error(bundlePath ? `No backup at ${bundlePath}` : `No backup of '${projects[0].name}' in backups/`);
+        }
+        verifyBundle(bundlePath);
+        console.log(chalk.cyan.bold(`  ♻️  Restoring ${path.relative(rootDir, bundlePath)}...`));
+        steps = planRestore(projects[0], bundlePath);
+    } else {
+        console.log(chalk.red.bold('  ⚠️  Resetting Graph Art Service...'));
+        steps = planReset(projects, scope);
+    }
+    console.log('');
 
-        // Add remote and force push to overwrite all old commits
-        execSync(`git remote add origin ${repoUrl}`, { cwd: tempDir, stdio: 'pipe' });
-        execSync('git push --force origin main', { cwd: tempDir, stdio: 'pipe' });
+    if (steps.length === 0) {
+        console.log(chalk.gray('  - Nothing to do (already clean)'));
+        console.log('');
+        return;
+    }
 
-        console.log(chalk.green('  ✓ Remote repository cleaned (force-pushed clean state)'));
+    console.log(chalk.white(dryRun ? '  Would:' : '  This will:'));
+    for (const step of steps) {
+        console.log((step.forcePush ? chalk.red : step.warning ? chalk.yellow : chalk.gray)(`    • ${step.description}`));
+    }
+    console.log('');
+    if (dryRun) {
+        console.log(chalk.gray('  Dry run: nothing was changed.'));
+        console.log('');
+        return;
+    }
 
-        // Remove temp dir
-        fs.rmSync(tempDir, { recursive: true, force: true });
-    } catch (err) {
-        console.log(chalk.yellow(`  ⚠ Could not clean remote: ${err.message}`));
-        console.log(chalk.yellow('    You may need to delete and recreate the remote repo manually.'));
+    // Rewriting a remote's history always needs someone to say yes, even from a script
+    const pushes = steps.filter(step => step.forcePush).length;
+    if (pushes > 0 && !process.stdin.isTTY) {
+        throw new Error(`A force-push needs confirmation: run this in a terminal${restore ? '' : ' (or leave the remote alone with --local or --tracker)'}`);
+    }
+    const { confirmed, confirmedPush } = await inquirer.prompt([
+        {
+            type: 'confirm',
+            name: 'confirmed',
+            message: chalk.yellow('Go ahead?'),
+            default: false,
+        },
+        {
+            type: 'confirm',
+            name: 'confirmedPush',
+            message: chalk.red.bold(`Force-push to ${pushes === 1 ? 'the remote' : `${pushes} remotes`}? This replaces the history GitHub shows.`),
+            default: false,
+            when: (answers) => answers.confirmed && pushes > 0,
+        },
+    ]);
+    if (!confirmed || (pushes > 0 && !confirmedPush)) {
+        console.log(chalk.gray('\n  Cancelled. Nothing was changed.\n'));
+        return;
     }
-}
 
-// 5. Delete config.json
-if (fs.existsSync(configPath)) {
+    // Never pull the repo out from under a run
+    const { release, holder } = acquireLock(path.join(dataDir, 'run.lock'));
+    if (!release) {
+        const since = holder?.startedAt ? ` since ${holder.startedAt}` : '';
+        throw new Error(`Another run is in progress (PID ${holder?.pid ?? '?'}${since}). Reset once it has finished`);
+    }
     try {
-        fs.unlinkSync(configPath);
-        console.log(chalk.gray('  ✓ Deleted configuration (config.json)'));
-    } catch (err) {
-        console.error(chalk.red(`  ✗ Failed to delete configuration: ${err.message}`));
+        steps.forEach(step => step.run());
+    } finally {
+        release();
     }
-} else {
-    console.log(chalk.gray('  - No configuration found (already clean)'));
-}
+    console.log('');
 
-console.log('');
-console.log(chalk.green.bold('  ✅ Full reset complete. Starting fresh...'));
-console.log('');
+    if (restore || !scope.config) {
+        console.log(chalk.green.bold('  ✅ Done.'));
+        console.log('');
+        return;
+    }
 
-// 6. Start the service again
-const startProcess = spawn('node', [path.join(__dirname, 'index.js')], {
-    stdio: 'inherit',
-    cwd: path.join(__dirname, '..')
-});
+    console.log(chalk.green.bold('  ✅ Full reset complete. Starting fresh...'));
+    console.log('');
+
+    // Start the service again
+    const startProcess = spawn('node', [path.join(__dirname, 'index.js')], {
+        stdio: 'inherit',
+        cwd: rootDir
+    });
+
+    startProcess.on('close', (code) => {
+        process.exit(code);
+    });
+}
 
-startProcess.on('close', (code) => {
-    process.exit(code);
+main().catch(err => {
+    console.error(chalk.red(`\n  ❌ Error: ${err.message}\n`));
+    process.exit(1);
 });
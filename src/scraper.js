@@ -1,18 +1,21 @@
 const https = require('https');
 const cheerio = require('cheerio');
 const chalk = require('chalk');
+const { getCanvas } = require('./planner');
 
 /**
  * Scrape a user's GitHub contribution graph for a specific year
  * @param {string} username - GitHub username
- * @param {number} year - Target year
+ * @param {number|{endDate: string}} year - Target year, or a rolling canvas (see getCanvas)
  * @returns {Promise<Object>} Object containing daily commits map and the max commits found
  */
 async function scrapeContributions(username, year) {
+    const canvas = getCanvas(year);
+
     return new Promise((resolve, reject) => {
-        const url = `https://github.com/users/${username}/contributions?from=${year}-01-01&to=${year}-12-31`;
+        const url = `https://github.com/users/${username}/contributions?from=${canvas.from}&to=${canvas.to}`;
 
-        console.log(chalk.gray(`  🔍 Analyzing existing contributions for ${username} in ${year}...`));
+        console.log(chalk.gray(`  🔍 Analyzing existing contributions for ${username} in ${canvas.label}...`));
 
         https.get(url, {
             headers: {
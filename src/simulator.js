@@ -0,0 +1,113 @@
+/**
+ * Simulator Module
+ * Predicts what the profile graph will look like once a plan is pushed:
+ * adds the plan to the scraped contributions and buckets every day the way GitHub does
+ */
+
+// The planner solves against the same buckets, so both take them from there
+const { getCanvas, formatDate, parseDate, getQuartiles, levelFor, MAX_LEVEL } = require('./planner');
+
+/**
+ * Simulate the graph after applying a plan on top of existing contributions
+ * @param {Array<{date: string, commits: number}>} plan - Plan entries (commits still to make)
+ * @param {Object} scrapedExisting - Existing contributions { 'YYYY-MM-DD': count }
+ * @param {number|{endDate: string}} range - Target year, or a rolling canvas (see getCanvas)
+ * @returns {{
+ *   days: Object<string, {existing: number, planned: number, total: number, level: number, existingLevel: number, row: number, col: number}>,
+ *   quartiles: number[], existingQuartiles: number[], grid: Array<Array<number|null>>, faded: string[]
+ * }} grid holds the simulated level per cell (null outside the visible range);
+ *   faded lists days with real activity that will look lighter than they do today
+ */
+function simulateGraph(plan, scrapedExisting = {}, range) {
+    const canvas = getCanvas(range);
+    const planned = {};
+    for (const entry of plan) {
+        planned[entry.date] = (planned[entry.date] || 0) + entry.commits;
+    }
+
+    const days = {};
+    const grid = Array.from({ length: 7 }, () => Array(53).fill(null));
+    const end = parseDate(canvas.to);
+
+    let index = 0;
+    for (let d = new Date(canvas.start); d <= end; d.setDate(d.getDate() + 1), index++) {
+        const dateStr = formatDate(d);
+        if (dateStr < canvas.from) continue;
+
+        const existing = scrapedExisting[dateStr] || 0;
+        const add = planned[dateStr] || 0;
+        days[dateStr] = {
+            existing,
+            planned: add,
+            total: existing + add,
+            row: index % 7,
+            col: Math.floor(index / 7),
+        };
+    }
+
+    const entries = Object.values(days);
+    const existingQuartiles = getQuartiles(entries.map(day => day.existing));
+    const quartiles = getQuartiles(entries.map(day => day.total));
+    const faded = [];
+
+    for (const [dateStr, day] of Object.entries(days)) {
+        day.existingLevel = levelFor(day.existing, existingQuartiles);
+        day.level = levelFor(day.total, quartiles);
+        if (day.existing > 0 && day.level < day.existingLevel) faded.push(dateStr);
+        if (day.col < 53) grid[day.row][day.col] = day.level;
+    }
+
+    return { days, quartiles, existingQuartiles, grid, faded };
+}
+
+/**
+ * Find the art's pixels that the simulated graph shows at another level than asked for
+ * @param {Object} simulation - Result of simulateGraph
+ * @param {number[][]} pixels - The art's level matrix (see rasterizeText / imageToPixels)
+ * @param {number} startWeek - Week offset of the matrix's first column
+ * @returns {Array<{row: number, col: number, level: number, shown: number}>}
+ */
+function findMissedPixels(simulation, pixels, startWeek) {
+    const missed = [];
+    for (let row = 0; row < 7; row++) {
+        for (let col = 0; col < (pixels[row] || []).length && startWeek + col < 53; col++) {
+            const level = Math.min(pixels[row][col], MAX_LEVEL);
+            const shown = simulation.grid[row][startWeek + col];
+            if (level > 0 && shown !== null && shown !== level) {
+                missed.push({ row, col: startWeek + col, level, shown });
+            }
+        }
+    }
+    return missed;
+}
+
+/**
+ * Build the three layers of the before/after preview
+ * @param {Array} plan - Plan entries for the art (with background, if any)
+ * @param {number[][]} pixels - The art's level matrix (see rasterizeText / imageToPixels)
+ * @param {number} startWeek - Week offset of the matrix's first column
+ * @param {Object} scrapedExisting - Existing contributions { 'YYYY-MM-DD': count }
+ * @param {number|{endDate: string}} range - Target year, or a rolling canvas
+ * @param {Array<{row: number, col: number}>} conflicts - Days that break the art (see findConflicts)
+ * @returns {{ current: Array<Array<number|null>>, art: number[][], combined: Array<Array<number|null>>,
+ *   conflicts: Array, simulation: Object }}
+ */
+function simulateOverlay(plan, pixels, startWeek, scrapedExisting, range, conflicts = []) {
+    const art = Array.from({ length: 7 }, () => Array(53).fill(0));
+    for (let row = 0; row < 7; row++) {
+        for (let col = 0; col < (pixels[row] || []).length && startWeek + col < 53; col++) {
+            art[row][startWeek + col] = pixels[row][col];
+        }
+    }
+
+    const simulation = simulateGraph(plan, scrapedExisting, range);
+    return {
+        current: simulateGraph([], scrapedExisting, range).grid,
+        art,
+        combined: simulation.grid,
+        conflicts,
+        simulation,
+    };
+}
+
+module.exports = { getQuartiles, levelFor, simulateGraph, findMissedPixels, simulateOverlay };
@@ -0,0 +1,70 @@
+/**
+ * Streak Keeper Module
+ * Plans top-up commits that keep every day (or every weekday) at a minimum contribution count
+ *
+ * Configured in config.json next to the art:
+ *   "streak": { "enabled": true, "minCommits": 3, "days": "weekdays", "since": "2026-01-01" }
+ */
+
+const { formatDate, parseDate } = require('./planner');
+
+const STREAK_DAYS = ['daily', 'weekdays'];
+
+/**
+ * Validate a streak config
+ * @param {Object} streak - config.streak
+ * @throws {Error} When the minimum or the day selection is invalid
+ */
+function validateStreak(streak) {
+    if (!Number.isInteger(streak.minCommits) || streak.minCommits < 1) {
+        throw new Error('streak.minCommits must be a positive whole number');
+    }
+    if (streak.days && !STREAK_DAYS.includes(streak.days)) {
+        throw new Error(`streak.days must be one of: ${STREAK_DAYS.join(', ')}`);
+    }
+    if (streak.since && !/^\d{4}-\d{2}-\d{2}$/.test(streak.since)) {
+        throw new Error('streak.since must be a date as YYYY-MM-DD');
+    }
+}
+
+/**
+ * Plan the top-ups for every streak day from `since` to `today` that is below the minimum
+ *
+ * Entries count the commits *we* make on a day, like the art plan, so the tracker's
+ * getPending works unchanged. The scraped count is assumed to include the commits we
+ * already made; if GitHub has not caught up yet, the day is topped up a little too much
+ * rather than left short.
+ *
+ * @param {Object} streak - config.streak: { minCommits, days: 'daily'|'weekdays', since }
+ * @param {Object} scrapedExisting - Contributions on the profile { 'YYYY-MM-DD': count }
+ * @param {Object} completed - The streak tracker's completed map { 'YYYY-MM-DD': { commits } }
+ * @param {string} today - Last day to plan (YYYY-MM-DD)
+ * @returns {Array<{date: string, commits: number, level: null, char: string, row: number, col: number}>}
+ */
+function planStreak(streak, scrapedExisting = {}, completed = {}, today = formatDate(new Date())) {
+    const end = parseDate(today);
+    // The profile only shows (and we only scrape) the last year
+    const earliest = new Date(end);
+    earliest.setDate(end.getDate() - 364);
+    const since = streak.since ? parseDate(streak.since) : end;
+    const start = since > earliest ? since : earliest;
+
+    const plan = [];
+    for (let d = new Date(start); d <= end; d.setDate(d.getDate() + 1)) {
+        const dayOfWeek = d.getDay();
+        if (streak.days === 'weekdays' && (dayOfWeek === 0 || dayOfWeek === 6)) continue;
+
+        const dateStr = formatDate(d);
+        const done = completed[dateStr] ? completed[dateStr].commits : 0;
+        const others = Math.max(0, (scrapedExisting[dateStr] || 0) - done);
+        const commits = Math.max(done, streak.minCommits - others);
+
+        if (commits > 0) {
+            plan.push({ date: dateStr, commits, level: null, char: 'streak', row: -1, col: -1 });
+        }
+    }
+
+    return plan;
+}
+
+module.exports = { STREAK_DAYS, validateStreak, planStreak };
@@ -0,0 +1,83 @@
+/**
+ * Templates Module
+ * Commit messages and file contents built from templates with placeholders:
+ *   {date} {time} {datetime} {char} {index} {total} {row} {col}
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PLACEHOLDERS = ['date', 'time', 'datetime', 'char', 'index', 'total', 'row', 'col'];
+const DEFAULT_MESSAGE_TEMPLATE = "art: pixel for '{char}' [{index}/{total}]";
+const DEFAULT_PLAIN_MESSAGE_TEMPLATE = 'art: contribution {index}/{total}';
+const DEFAULT_CONTENT_TEMPLATE = "{datetime} | commit {index}/{total} for '{char}'";
+const DEFAULT_TARGET_FILES = ['.contribution'];
+
+/**
+ * Fill in a template's placeholders
+ * @param {string} template - Text with {placeholder} markers
+ * @param {Object} values - Placeholder values
+ */
+function renderTemplate(template, values) {
+    return template.replace(/\{(\w+)\}/g, (match, key) => (key in values ? String(values[key]) : match));
+}
+
+/**
+ * Validate a template
+ * @throws {Error} When it uses an unknown placeholder
+ */
+function validateTemplate(template, name = 'template') {
+    for (const [, key] of template.matchAll(/\{(\w+)\}/g)) {
+        if (!PLACEHOLDERS.includes(key)) {
+            throw new Error(`Unknown placeholder {${key}} in ${name}. Use: ${PLACEHOLDERS.map(p => `{${p}}`).join(' ')}`);
+        }
+    }
+}
+
+/**
+ * Load a message corpus: a list of messages, or a text file with one message per line
+ * Blank lines and lines starting with '#' are skipped. Messages may use placeholders.
+ * @param {string[]|string} corpus - Messages, or the path to a corpus file
+ * @param {string} baseDir - Directory relative corpus paths are resolved from
+ * @returns {string[]} Messages (empty when there is no corpus)
+ */
+function loadCorpus(corpus, baseDir = process.cwd()) {
+    if (!corpus) return [];
+
+    const messages = Array.isArray(corpus)
+        ? corpus
+        : fs.readFileSync(path.resolve(baseDir, corpus), 'utf-8').split(/\r?\n/);
+    const cleaned = messages.map(m => String(m).trim()).filter(m => m && !m.startsWith('#'));
+
+    cleaned.forEach(message => validateTemplate(message, 'messageCorpus'));
+    return cleaned;
+}
+
+/**
+ * Validate the files commits are rotated across
+ * @param {string[]} targetFiles - Paths relative to the art repo
+ * @throws {Error} When a path is empty, absolute, leaves the repo or points into .git
+ */
+function validateTargetFiles(targetFiles) {
+    if (!Array.isArray(targetFiles) || targetFiles.length === 0) {
+        throw new Error('targetFiles must list at least one file');
+    }
+    for (const file of targetFiles) {
+        const normalized = path.posix.normalize(String(file).replace(/\\/g, '/'));
+        if (!file || path.isAbsolute(file) || normalized.startsWith('..') || normalized.split('/')[0] === '.git') {
+            throw new Error(`Invalid target file '${file}': use a path inside the art repo`);
+        }
+    }
+}
+
+module.exports = {
+    PLACEHOLDERS,
+    DEFAULT_MESSAGE_TEMPLATE,
+    DEFAULT_PLAIN_MESSAGE_TEMPLATE,
+    DEFAULT_CONTENT_TEMPLATE,
+    DEFAULT_TARGET_FILES,
+    renderTemplate,
+    validateTemplate,
+    loadCorpus,
+    validateTargetFiles,
+};
@@ -3,9 +3,57 @@
  * Quick test to verify fonts, planner, and renderer work correctly
  */
 
-const { FONT, getMaxStandardChars } = require('./fonts');
-const { generatePlan, buildGrid, getPlanStats } = require('./planner');
-const { renderGrid, renderStats } = require('./renderer');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { execSync, spawnSync } = require('child_process');
+const { FONT, FONTS, getMaxStandardChars, registerFont, getCharWidth, tokenize } = require('./fonts');
+const { parseJsonFont, parseBdfFont } = require('./font-loader');
+const { generatePlan, generatePixelPlan, rasterizeText, findConflicts, optimizePlacement, buildGrid, getPlanStats, getCanvas } = require('./planner');
+const { decodeNetpbm, decodePng, imageToPixels } = require('./image');
+const { layoutText, describeOverflow } = require('./layout');
+const { renderGrid, renderStats, renderSimulation, renderOverlay } = require('./renderer');
+const { getQuartiles, simulateGraph, findMissedPixels, simulateOverlay } = require('./simulator');
+const {
+    initRepo,
+    checkIdentity,
+    describeCommit,
+    makeCommits,
+    fastImportCommits,
+    getHead,
+    resetToCommit,
+    forcePush,
+    countCommitsByDate,
+    listCommits,
+    rewriteHistory
+} = require('./committer');
+const { findRollovers } = require('./timezone');
+const { validateProfile } = require('./profiles');
+const { verifyPlan, planCorrections } = require('./verifier');
+const { getProjects, getPlanFingerprint } = require('./projects');
+const { acquireLock } = require('./lock');
+const { findChangedDays, createSelector, countErasedByDay } = require('./eraser');
+const { backupLocal, backupRemote, pushCleanSlate, restoreLocal, readBundleHead, readRemoteRefs, pushBundle, findLatestBackup } = require('./backup');
+const { loadCorpus } = require('./templates');
+const {
+    loadTracker,
+    saveTracker,
+    markCompleted,
+    claimTracker,
+    releaseTracker,
+    getEntryStatuses,
+    getPending,
+    reconcileTracker,
+    loadBatches,
+    recordBatch,
+    undoBatch
+} = require('./tracker');
+const { planStreak } = require('./streak');
+
+// 24 hourly weights, 1 inside [start, end)
+const PROFILE_HOURS = (start, end) => Array.from({ length: 24 }, (_, h) => (h >= start && h < end ? 1 : 0));
 
 console.log('=== Test 1: Font definitions ===');
 const chars = Object.keys(FONT);
@@ -21,6 +69,13 @@ for (const [char, matrix] of Object.entries(FONT)) {
 }
 console.log(fontOk ? '✅ All fonts have 7 rows' : '❌ Font errors found');
 
+for (const font of Object.values(FONTS)) {
+    const bad = Object.entries(font.glyphs).filter(([, matrix]) => matrix.length !== font.height);
+    console.log(bad.length === 0
+        ? `✅ ${font.name}: ${Object.keys(font.glyphs).length} glyphs, all ${font.height} rows`
+        : `❌ ${font.name}: wrong height for ${bad.map(([char]) => char).join(', ')}`);
+}
+
 console.log(`\nMax standard characters: ${getMaxStandardChars()}`);
 
 console.log('\n=== Test 2: Plan generation ===');
@@ -29,7 +84,7 @@ console.log(`Plan for "HI" (2026): ${plan.length} pixel-days, ${plan.reduce((s,
 console.log(`First date: ${plan[0]?.date}, Last date: ${plan[plan.length - 1]?.date}`);
 
 console.log('\n=== Test 3: Grid rendering ===');
-const grid = buildGrid(plan);
+const grid = buildGrid(plan, 'level');
 renderGrid(grid, 2026);
 
 const stats = getPlanStats(plan);
@@ -37,10 +92,580 @@ renderStats(stats);
 
 console.log('\n=== Test 4: Full word "HELLO" ===');
 const plan2 = generatePlan('HELLO', 2026, 20, 1);
-const grid2 = buildGrid(plan2);
+const grid2 = buildGrid(plan2, 'level');
 renderGrid(grid2, 2026);
 
 const stats2 = getPlanStats(plan2);
 renderStats(stats2);
 
-console.log('\n=== All tests passed! ===');
+console.log('\n=== Test 5: Image import (PBM and PNG) ===');
+const pbm = Buffer.from('P1\n# arrow\n6 7\n001000\n011000\n111111\n111111\n011000\n001000\n000000\n');
+const image = decodeNetpbm(pbm);
+const pixels = imageToPixels(image);
+console.log(`Decoded ${image.width}×${image.height} → ${pixels.length}×${pixels[0].length} pixels`);
+assert.throws(() => decodeNetpbm(Buffer.from('P2\n3 2\n255\n0 128 255 0 128\n')), /Truncated P2 image: 3×2 needs 6 samples, found 5/);
+assert.throws(() => decodeNetpbm(Buffer.concat([Buffer.from('P4\n9 2\n'), Buffer.from([0xff, 0x80, 0xff])])), /Truncated P4 image/);
+
+// The decoder does not check CRCs, so the chunks carry a zero one
+const pngChunk = (type, data) => {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    return Buffer.concat([length, Buffer.from(type, 'ascii'), data, Buffer.alloc(4)]);
+};
+const png = (width, height, bitDepth, colorType, scanlines, extra = []) => {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = bitDepth;
+    header[9] = colorType;
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        pngChunk('IHDR', header),
+        ...extra,
+        pngChunk('IDAT', zlib.deflateSync(Buffer.from(scanlines))),
+        pngChunk('IEND', Buffer.alloc(0)),
+    ]);
+};
+// RGB: black, white, red over white, black, black, the second row Up-filtered (differences from the first)
+const rgb = png(3, 2, 8, 2, [0, 0, 0, 0, 255, 255, 255, 255, 0, 0, 2, 255, 255, 255, 1, 1, 1, 1, 0, 0]);
+assert.deepStrictEqual(decodePng(rgb), { width: 3, height: 2, gray: [0, 255, 76, 255, 0, 0] });
+// 2-bit palette: both entries black, the second one transparent through tRNS
+const palette = png(2, 1, 2, 3, [0, 0x10], [pngChunk('PLTE', Buffer.alloc(6)), pngChunk('tRNS', Buffer.from([255, 0]))]);
+assert.deepStrictEqual(decodePng(palette).gray, [0, 255]);
+// 16-bit gray: Sub filter across two samples
+assert.deepStrictEqual(decodePng(png(2, 1, 16, 0, [1, 0x80, 0x80, 0x7f, 0x7f])).gray, [128, 255]);
+console.log(`Decoded PNGs: RGB ${decodePng(rgb).gray.join(' ')}, palette ${decodePng(palette).gray.join(' ')}`);
+const shortHeader = Buffer.concat([rgb.subarray(0, 8), pngChunk('IHDR', Buffer.alloc(5)), pngChunk('IEND', Buffer.alloc(0))]);
+assert.throws(() => decodePng(shortHeader), /Invalid PNG IHDR chunk: 5 bytes instead of 13/);
+assert.throws(() => decodePng(rgb.subarray(0, 30)), /Truncated PNG image: the IHDR chunk at byte 8 needs 25 bytes, found 22/);
+assert.throws(() => decodePng(png(3, 2, 8, 2, [0, 0, 0, 0])), /Truncated PNG image: 3×2 needs 20 bytes of pixel data, found 4/);
+const plan3 = generatePixelPlan(pixels, 2026, 20, 10);
+renderGrid(buildGrid(plan3, 'level'), 2026);
+renderStats(getPlanStats(plan3));
+
+console.log('\n=== Test 6: Shaded text (drop shadow) ===');
+const plan4 = generatePlan('HI', 2026, 20, 1, null, {}, { level: 4, shadow: 2 });
+const levels = [...new Set(plan4.map(e => `${e.level}→${e.commits}`))].sort();
+console.log(`Level → commits: ${levels.join(', ')}`);
+renderGrid(buildGrid(plan4, 'level'), 2026);
+
+// Once GitHub buckets the whole graph, every pixel must show the level it asks for
+const shadedCases = [
+    ['level 4 on a background', rasterizeText('HI', 10).pixels, 0, 5],
+    ['level 1 on a background', rasterizeText('HI', 10, { level: 1 }).pixels, 0, 5],
+    ['shadow on a background', rasterizeText('HI', 10, { level: 4, shadow: 1 }).pixels, 0, 5],
+    ['light shadow', rasterizeText('HI', 10, { level: 2, shadow: 1 }).pixels, 0, null],
+    ['four-step image', Array.from({ length: 7 }, () => [1, 1, 2, 2, 3, 3, 4, 4]), 10, null],
+];
+for (const [name, matrix, offset, background] of shadedCases) {
+    const shaded = simulateGraph(generatePixelPlan(matrix, 2026, 20, offset, background), {}, 2026);
+    assert.deepStrictEqual(findMissedPixels(shaded, matrix, offset), [], name);
+}
+// Mixes GitHub cannot show keep their order: a darker pixel never shows lighter than a lighter one
+const gradient = rasterizeText('HI', 10, { level: 4, gradient: 'vertical' }).pixels;
+const gradientGraph = simulateGraph(generatePixelPlan(gradient, 2026, 20, 0, 5), {}, 2026);
+const cells = gradient.flatMap((row, r) => row.map((level, c) => ({ level, shown: gradientGraph.grid[r][c] }))).filter(cell => cell.level > 0);
+const missed = findMissedPixels(gradientGraph, gradient, 0);
+assert.ok(missed.length > 0);
+assert.ok(cells.every(a => cells.every(b => a.level <= b.level || a.shown >= b.shown)));
+console.log(`Shaded plans land on their levels: ${shadedCases.length} cases, gradient on a background misses ${missed.length} of ${cells.length} pixels in order`);
+
+console.log('\n=== Test 7: Rolling 12-month canvas ===');
+const rolling = { endDate: '2026-10-19' };
+const canvas = getCanvas(rolling);
+console.log(`Canvas: ${canvas.from} → ${canvas.to} (week 0 starts on a ${canvas.start.getDay() === 0 ? 'Sunday' : 'weekday'})`);
+const plan5 = generatePlan('HI', rolling, 20, 1);
+console.log(`First date: ${plan5[0]?.date}, Last date: ${plan5[plan5.length - 1]?.date}`);
+assert.deepStrictEqual([canvas.from, canvas.to, canvas.start.getDay()], ['2025-10-19', '2026-10-19', 0]);
+assert.ok(plan5.every(e => e.date >= canvas.from && e.date <= canvas.to), 'the art stays inside the canvas');
+assert.throws(() => getCanvas({ endDate: '2026-02-31' }), /Invalid end date '2026-02-31'/);
+assert.throws(() => getCanvas({ endDate: '2026-2-3' }), /Invalid end date/);
+assert.strictEqual(getCanvas({ endDate: '2024-02-29' }).from, '2023-02-26');
+renderGrid(buildGrid(plan5, 'level'), rolling);
+
+console.log('\n=== Test 8: Compact and micro fonts ===');
+console.log(`Max characters per line: standard ${getMaxStandardChars()}, compact ${getMaxStandardChars('compact')}, micro ${getMaxStandardChars('micro')}`);
+assert.deepStrictEqual([getMaxStandardChars(), getMaxStandardChars('compact'), getMaxStandardChars('micro')], [8, 13, 13]);
+const compactPlan = generatePlan('HELLO WORLD', 2026, 20, 1, null, {}, { font: 'compact' });
+const microPlan = generatePlan('HELLO|WORLD', 2026, 20, 1, null, {}, { font: 'micro' });
+const rowsOf = (plan) => [...new Set(plan.filter(e => e.level > 0).map(e => e.row))].sort();
+// Compact text is centred on rows 1-5; micro puts its two lines on rows 0-2 and 4-6
+assert.deepStrictEqual(rowsOf(compactPlan), [1, 2, 3, 4, 5]);
+assert.ok(compactPlan.every(e => e.col <= 52), 'HELLO WORLD fits in compact');
+assert.deepStrictEqual(rowsOf(microPlan), [0, 1, 2, 4, 5, 6]);
+renderGrid(buildGrid(compactPlan, 'level'), 2026);
+renderGrid(buildGrid(microPlan, 'level'), 2026);
+
+console.log('\n=== Test 9: Layout engine ===');
+const wide = layoutText('HELLO WORLD', { startWeek: 1 });
+console.log(`"HELLO WORLD": ${wide.width} columns, fits: ${wide.fits}`);
+describeOverflow(wide).forEach(message => console.log(`  overflow: ${message}`));
+const fitted = layoutText('HELLO WORLD', { startWeek: 1, autoFit: true });
+console.log(`Auto-fit → ${fitted.font} font, spacing ${fitted.letterSpacing}, ${fitted.width} columns, fits: ${fitted.fits}`);
+assert.deepStrictEqual([wide.width, wide.fits], [63, false]);
+assert.deepStrictEqual(describeOverflow(wide), ['"HELLO WORLD" is 63 columns wide but only 52 are free (11 over, "LD" would be cut off)']);
+assert.deepStrictEqual([fitted.font, fitted.fits], ['compact', true]);
+assert.ok(fitted.width <= 52, 'the auto-fit layout fits after week 1');
+const centered = generatePlan('HI', 2026, 20, 0, null, {}, { align: 'center', letterSpacing: 2 });
+const centeredCols = centered.filter(e => e.level > 0).map(e => e.col);
+// 12 columns wide, with 20 free on the left and 21 on the right
+assert.deepStrictEqual([Math.min(...centeredCols), Math.max(...centeredCols)], [20, 31]);
+renderGrid(buildGrid(centered, 'level'), 2026);
+
+console.log('\n=== Test 10: Font packs (JSON + BDF) ===');
+const jsonFont = registerFont(parseJsonFont(JSON.stringify({
+    name: 'brand',
+    height: 7,
+    glyphs: { X: ['#...#', '.#.#.', '..#..', '..#..', '..#..', '.#.#.', '#...#'] },
+}), 'brand'));
+const bdfFont = registerFont(parseBdfFont([
+    'STARTFONT 2.1', 'FONTBOUNDINGBOX 3 5 0 0', 'FONT_ASCENT 5', 'FONT_DESCENT 0',
+    'STARTCHAR A', 'ENCODING 65', 'DWIDTH 4 0', 'BBX 3 5 0 0', 'BITMAP', '40', 'A0', 'E0', 'A0', 'A0', 'ENDCHAR',
+    'ENDFONT',
+].join('\n'), 'tiny'));
+console.log(`Registered '${jsonFont.name}' (${jsonFont.height} rows) and '${bdfFont.name}' (${bdfFont.height} rows)`);
+// A pack cannot take over a built-in font, whether named in the file or after it
+const standardGlyphs = Object.keys(FONTS.standard.glyphs).length;
+assert.throws(() => registerFont(parseJsonFont(JSON.stringify({ height: 3, glyphs: { A: ['#', '#', '#'] } }), 'standard')), /'standard' is built in/);
+assert.throws(() => registerFont({ name: 'micro', height: 3, glyphs: { A: [[1], [1], [1]] } }), /'micro' is built in/);
+assert.deepStrictEqual([Object.keys(FONTS.standard.glyphs).length, FONTS.standard.height], [standardGlyphs, 7]);
+console.log(`Width of 'x' in brand: ${getCharWidth('x', 'brand')}, 'a' in tiny: ${getCharWidth('a', 'tiny')}`);
+// 'brand' has no 'A', so its widest glyph sets the count
+console.log(`Max characters in brand: ${getMaxStandardChars('brand')}`);
+assert.strictEqual(getMaxStandardChars('brand'), Math.floor(53 / 6));
+renderGrid(buildGrid(generatePlan('XX', 2026, 20, 1, null, {}, { font: 'brand' }), 'level'), 2026);
+
+console.log('\n=== Test 11: Lowercase, accents and symbols ===');
+console.log(`Tokens for "Café :) ->": ${tokenize('Café :) ->').join(' | ')}`);
+assert.deepStrictEqual(tokenize('Café :) ->'), ['C', 'a', 'f', 'é', ' ', ':)', ' ', '->']);
+const { glyphs } = FONTS.standard;
+assert.notDeepStrictEqual(glyphs.a, glyphs.A);
+assert.notDeepStrictEqual(glyphs['é'], glyphs.e);
+const cafePlan = generatePlan('Café :)', 2026, 20, 1);
+assert.deepStrictEqual([...new Set(cafePlan.filter(e => e.level > 0).map(e => e.char))], ['C', 'a', 'f', 'é', ':)']);
+renderGrid(buildGrid(cafePlan, 'level'), 2026);
+
+console.log('\n=== Test 12: GitHub color-scale simulator ===');
+console.log(`Quartiles of [0, 1, 2, 3, 4, 5, 6, 7, 8]: ${getQuartiles([0, 1, 2, 3, 4, 5, 6, 7, 8]).join(', ')}`);
+const existing = {};
+for (let d = new Date(2026, 0, 5); d.getFullYear() === 2026; d.setDate(d.getDate() + 7)) {
+    const key = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+    existing[key] = 3 + (d.getMonth() % 4);
+}
+const simulation = simulateGraph(generatePlan('HI', 2026, 20, 20), existing, 2026);
+console.log(`Simulated quartiles: ${simulation.quartiles.join(', ')}, faded days: ${simulation.faded.length}`);
+assert.deepStrictEqual(getQuartiles([0, 1, 2, 3, 4, 5, 6, 7, 8]), [2, 4, 6]);
+// The art's 20-commit days push the top quartile up, so 13 of the existing days look lighter
+assert.deepStrictEqual(simulation.quartiles, [4, 6, 20]);
+assert.strictEqual(simulation.faded.length, 13);
+renderGrid(simulation.grid, 2026);
+renderSimulation(simulation);
+
+console.log('\n=== Test 13: Before/after overlay ===');
+// A busy day in the gap between the bars of the 'H' (week 21, Tuesday)
+const busy = { ...existing, '2026-05-26': 40 };
+const art = rasterizeText('HI', 20);
+const conflicts = findConflicts(art.pixels, 2026, 20, 0, null, busy);
+console.log(`Conflicts: ${conflicts.map(c => `${c.date} (${c.existing} > ${c.target})`).join(', ')}`);
+// The busy day, and the weekly Mondays that land on blank cells inside the art
+assert.strictEqual(conflicts.length, 9);
+assert.ok(conflicts.every(c => c.target === 0 && c.existing > c.target));
+assert.strictEqual(conflicts.find(c => c.date === '2026-05-26').existing, 40);
+const overlay = simulateOverlay(generatePlan('HI', 2026, 20, 20, null, busy), art.pixels, 0, busy, 2026, conflicts);
+assert.strictEqual(overlay.conflicts.length, 9);
+renderOverlay(overlay, 2026);
+
+console.log('\n=== Test 14: Placement optimizer ===');
+const firstHalf = Object.fromEntries(Object.entries(busy).filter(([date]) => date < '2026-07-01'));
+const placements = optimizePlacement({ text: 'HI' }, 2026, 20, null, firstHalf, { alignments: ['left', 'center'] });
+console.log(`Evaluated ${placements.length} placements, top 3:`);
+placements.slice(0, 3).forEach(p => console.log(`  week ${p.startWeek} (${p.align}): ${p.commits} commits, ${p.conflicts} conflicts`));
+// The busy days end in June, so the art fits without conflicts from the first week after them
+assert.deepStrictEqual([placements[0].startWeek, placements[0].conflicts], [26, 0]);
+const imagePixels = art.pixels.map(row => row.slice(20, 32));
+const imagePlacements = optimizePlacement({ pixels: imagePixels }, 2026, 20, null, firstHalf);
+console.log(`Image placements: ${imagePlacements.length}, best week ${imagePlacements[0].startWeek}`);
+const [bestImage] = imagePlacements;
+assert.deepStrictEqual([bestImage.startWeek, bestImage.conflicts], [26, 0]);
+// Placed at that week, the image's first column lands on it and clears the busy days
+const placedImage = generatePixelPlan(imagePixels, 2026, 20, bestImage.startWeek, null, firstHalf);
+assert.strictEqual(Math.min(...placedImage.filter(e => e.level > 0).map(e => e.col)), bestImage.startWeek);
+assert.deepStrictEqual(findConflicts(imagePixels, 2026, 20, bestImage.startWeek, null, firstHalf), []);
+
+console.log('\n=== Test 15: Live drawing statuses ===');
+const trackerDir = fs.mkdtempSync(path.join(os.tmpdir(), 'graph-art-tracker-'));
+try {
+    const livePlan = generatePlan('HI', 2026, 2, 38);
+    markCompleted(livePlan[0].date, livePlan[0].commits, trackerDir);
+    const statuses = getEntryStatuses(livePlan, trackerDir, '2026-10-01');
+    const count = (status) => statuses.filter(e => e.status === status).length;
+    console.log(`done: ${count('done')}, due: ${count('due')}, scheduled: ${count('scheduled')}, pending until 2026-10-01: ${getPending(livePlan, trackerDir, '2026-10-01').length}`);
+    assert.deepStrictEqual([count('done'), count('due'), count('scheduled')], [1, 7, 24]);
+    assert.ok(statuses.every(e => (e.status === 'scheduled') === (e.date > '2026-10-01')), 'only future days are scheduled');
+    assert.strictEqual(getPending(livePlan, trackerDir, '2026-10-01').length, count('due'));
+} finally {
+    fs.rmSync(trackerDir, { recursive: true, force: true });
+}
+
+console.log('\n=== Test 16: Streak keeper ===');
+const streakPlan = planStreak(
+    { minCommits: 3, days: 'weekdays', since: '2026-10-09' },
+    { '2026-10-09': 5, '2026-10-12': 1, '2026-10-13': 4 },
+    { '2026-10-13': { commits: 2 } },
+    '2026-10-14'
+);
+streakPlan.forEach(e => console.log(`  ${e.date} → ${e.commits} commits`));
+assert.deepStrictEqual(streakPlan.map(e => [e.date, e.commits]), [['2026-10-12', 2], ['2026-10-13', 2], ['2026-10-14', 3]]);
+
+console.log('\n=== Test 17: Timezone-correct timestamps ===');
+const commit = describeCommit('2026-07-01', 0, 10, 'H', { timezone: 'Asia/Tokyo', hourWindow: [9, 17] });
+console.log(`First commit: ${commit.timestamp} (raw ${commit.rawDate})`);
+console.log(`Rollovers in Auckland 9–17: ${findRollovers(['2026-07-01'], 'Pacific/Auckland').map(r => `${r.date} → ${r.utcDate}`).join(', ')}`);
+console.log(`Rollovers in Auckland 13–20: ${findRollovers(['2026-07-01'], 'Pacific/Auckland', [13, 20]).length}`);
+assert.match(commit.timestamp, /^2026-07-01T(09|1[0-6]):\d{2}:\d{2}\+09:00$/);
+assert.deepStrictEqual(findRollovers(['2026-07-01'], 'Pacific/Auckland').map(r => [r.date, r.utcDate]), [['2026-07-01', '2026-06-30']]);
+assert.deepStrictEqual(findRollovers(['2026-07-01'], 'Pacific/Auckland', [13, 20]), []);
+
+console.log('\n=== Test 18: Time-of-day profiles ===');
+const commitTimes = (date, timeProfile, options = {}) => [0, 1, 2, 3, 4, 5]
+    .map(i => describeCommit(date, i, 6, 'T', { timezone: 'UTC', hourWindow: [0, 24], timeProfile, seed: 'profiles', ...options }).dateTime.slice(11))
+    .join(' ');
+console.log(`working-hours: ${commitTimes('2026-03-04', 'working-hours')}`);
+console.log(`evenings:      ${commitTimes('2026-03-04', 'evenings')}`);
+console.log(`bursty:        ${commitTimes('2026-03-04', 'bursty')}`);
+const lateWeekends = { default: PROFILE_HOURS(9, 17), sat: PROFILE_HOURS(20, 23), sun: PROFILE_HOURS(20, 23) };
+console.log(`custom (Sat):  ${commitTimes('2026-03-07', lateWeekends)}`);
+const midnightOnly = { default: PROFILE_HOURS(0, 1) };
+console.log(`Santiago DST day (00:xx skipped): ${commitTimes('2026-09-06', midnightOnly, { timezone: 'America/Santiago' })}`);
+const hoursOf = (times) => times.split(' ').map(time => Number(time.slice(0, 2)));
+assert.strictEqual(commitTimes('2026-03-04', 'evenings'), commitTimes('2026-03-04', 'evenings'), 'seeded times repeat');
+assert.ok(hoursOf(commitTimes('2026-03-04', 'working-hours')).every(h => h >= 8 && h < 18), 'working hours');
+assert.ok(hoursOf(commitTimes('2026-03-04', 'evenings')).every(h => h >= 17), 'evenings');
+assert.ok(hoursOf(commitTimes('2026-03-07', lateWeekends)).every(h => h >= 20 && h < 23), 'custom Saturday');
+assert.ok(hoursOf(commitTimes('2026-09-06', midnightOnly, { timezone: 'America/Santiago' })).every(h => h === 1), 'DST gap skipped');
+assert.throws(() => validateProfile('evenings', [9, 17]), /no hours inside hourWindow 9-17/);
+console.log('Refused: evenings inside 9–17');
+
+console.log('\n=== Test 19: Verify the live graph ===');
+const drawn = [
+    { date: '2026-05-04', commits: 10, level: 4, char: 'V', row: 1, col: 18 },
+    { date: '2026-05-05', commits: 10, level: 4, char: 'V', row: 2, col: 18 },
+    { date: '2026-05-06', commits: 5, level: 2, char: 'V', row: 3, col: 18 },
+    { date: '2026-05-07', commits: 10, level: 4, char: 'V', row: 4, col: 18 },
+    { date: '2026-05-11', commits: 2, level: 1, char: 'V', row: 1, col: 19 },
+];
+const verification = verifyPlan(drawn, { '2026-05-04': 11, '2026-05-05': 6, '2026-05-06': 10, '2026-05-07': 14, '2026-05-11': 3 }, {
+    baseline: { '2026-05-04': 1 },
+    extra: { '2026-05-07': 2 },
+});
+console.log(`Matched ${verification.matched}/${verification.checked}`);
+console.log(`Missing: ${verification.missing.map(d => `${d.date} (${d.actual}/${d.expected})`).join(', ')}`);
+console.log(`Over-filled: ${verification.overfilled.map(d => `${d.date} (${d.actual}/${d.expected})`).join(', ')}`);
+console.log(`Misaligned: ${verification.misaligned.map(d => `${d.date} shows ${d.plannedFor}'s count`).join(', ')}`);
+const topUps = planCorrections(verification, { '2026-05-05': { commits: 10 } });
+console.log(`Top-ups: ${topUps.map(e => `${e.date} → ${e.commits} total`).join(', ')}`);
+assert.deepStrictEqual([verification.matched, verification.checked], [1, 5]);
+assert.deepStrictEqual(verification.missing.map(d => [d.date, d.actual, d.expected]), [['2026-05-05', 6, 10]]);
+assert.deepStrictEqual(verification.overfilled.map(d => [d.date, d.actual, d.expected]), [['2026-05-07', 14, 12], ['2026-05-11', 3, 2]]);
+assert.deepStrictEqual(verification.misaligned.map(d => [d.date, d.plannedFor]), [['2026-05-06', '2026-05-05']]);
+assert.deepStrictEqual(topUps.map(e => [e.date, e.commits]), [['2026-05-05', 14]]);
+
+console.log('\n=== Test 20: Projects and plan fingerprints ===');
+const projects = getProjects({
+    text: 'HI', year: 2026, commitsPerPixel: 3, startWeek: 5, repoPath: './art-repo', authorEmail: 'art@example.com', timezone: 'Europe/Berlin',
+    projects: [{ name: 'hello-2025', text: 'HELLO', year: 2025, commitsPerPixel: 3, startWeek: 1, repoPath: './art-2025', timezone: 'UTC' }],
+}, path.join('data'));
+projects.forEach(p => console.log(`  ${p.name}: "${p.text}" ${p.year} → ${p.dataDir}, ${p.authorEmail}, ${p.timezone}, fingerprint ${getPlanFingerprint(p)}`));
+console.log(`Timezone does not change the fingerprint: ${getPlanFingerprint(projects[0]) === getPlanFingerprint({ ...projects[0], timezone: 'UTC' })}`);
+assert.deepStrictEqual(projects.map(p => [p.name, p.dataDir, p.authorEmail, p.timezone]), [
+    ['default', 'data', 'art@example.com', 'Europe/Berlin'],
+    ['hello-2025', path.join('data', 'projects', 'hello-2025'), 'art@example.com', 'UTC'],
+]);
+assert.strictEqual(getPlanFingerprint(projects[0]), getPlanFingerprint({ ...projects[0], timezone: 'UTC' }));
+assert.notStrictEqual(getPlanFingerprint(projects[0]), getPlanFingerprint(projects[1]));
+assert.throws(() => getProjects({ repoPath: './art-repo', projects: [{ name: 'again', repoPath: 'art-repo' }] }, 'data'), /use the same repoPath/);
+const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'graph-art-tracker-'));
+try {
+    claimTracker(getPlanFingerprint(projects[0]), { text: 'HI', year: '2026' }, projectDir);
+    markCompleted('2026-02-02', 3, projectDir);
+    claimTracker(getPlanFingerprint(projects[0]), { text: 'HI', year: '2026' }, projectDir);
+    assert.throws(() => claimTracker(getPlanFingerprint({ ...projects[0], text: 'HEY' }), { text: 'HEY', year: '2026' }, projectDir), /records "HI" \(2026\), not "HEY"/);
+    console.log('Refused: another plan on a claimed tracker');
+} finally {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+}
+
+console.log('\n=== Test 21: Crash-safe tracker and run lock ===');
+const journalDir = fs.mkdtempSync(path.join(os.tmpdir(), 'graph-art-tracker-'));
+try {
+    saveTracker({ completed: { '2026-04-01': { commits: 2, completedAt: 'then' } }, lastRun: null }, journalDir);
+    markCompleted('2026-04-02', 1, journalDir);
+    markCompleted('2026-04-02', 2, journalDir);
+    fs.appendFileSync(path.join(journalDir, 'journal.log'), '{"date":"2026-04-03","comm');
+    const journaled = loadTracker(journalDir).completed;
+    console.log(`Snapshot + journal: ${Object.entries(journaled).map(([date, day]) => `${date}=${day.commits}`).join(', ')} (torn line skipped)`);
+    assert.deepStrictEqual(Object.entries(journaled).map(([date, day]) => [date, day.commits]), [['2026-04-01', 2], ['2026-04-02', 2]]);
+    saveTracker(loadTracker(journalDir), journalDir);
+    console.log(`After compaction: ${fs.readdirSync(journalDir).join(', ')}`);
+    assert.deepStrictEqual(fs.readdirSync(journalDir), ['commits.json']);
+
+    const lockPath = path.join(journalDir, 'run.lock');
+    const first = acquireLock(lockPath);
+    const second = acquireLock(lockPath);
+    console.log(`Second run blocked: ${second.release === null} (held by PID ${second.holder.pid === process.pid ? 'self' : second.holder.pid})`);
+    assert.strictEqual(second.release, null);
+    assert.strictEqual(second.holder.pid, process.pid);
+    first.release();
+    const { pid: deadPid } = spawnSync(process.execPath, ['-e', '']);
+    fs.writeFileSync(lockPath, JSON.stringify({ pid: deadPid, hostname: os.hostname(), startedAt: new Date().toISOString() }));
+    const afterCrash = acquireLock(lockPath);
+    console.log(`Stale lock of a dead run replaced: ${afterCrash.release !== null}`);
+    assert.notStrictEqual(afterCrash.release, null);
+    afterCrash.release();
+    console.log(`Lock released: ${!fs.existsSync(lockPath)}`);
+    assert.ok(!fs.existsSync(lockPath));
+} finally {
+    fs.rmSync(journalDir, { recursive: true, force: true });
+}
+
+(async () => {
+    console.log('\n=== Test 22: git fast-import committer ===');
+    const repoPath = fs.mkdtempSync(path.join(os.tmpdir(), 'graph-art-test-'));
+    try {
+        execSync('git init -q && git config user.name "Art Test" && git config user.email art@example.com', { cwd: repoPath });
+        initRepo(repoPath);
+        const made = await fastImportCommits(repoPath, [
+            { date: '2026-03-02', countToMake: 3, totalCount: 5, startIndex: 0, charLabel: 'H' },
+            { date: '2026-03-03', countToMake: 2, totalCount: 2, startIndex: 0, charLabel: '"' },
+        ]);
+        makeCommits(repoPath, '2026-03-02', 2, 5, 3, 'H');
+        const dates = execSync('git log --format=%ad --date=short', { cwd: repoPath, encoding: 'utf-8' }).trim().split('\n');
+        const lines = fs.readFileSync(path.join(repoPath, '.contribution'), 'utf-8').trim().split('\n');
+        console.log(`Imported ${made} commits, ${dates.length} in history (${[...new Set(dates)].join(', ')}), ${lines.length} lines in .contribution`);
+        console.log(`Clean working tree: ${execSync('git status --porcelain', { cwd: repoPath, encoding: 'utf-8' }) === ''}`);
+        assert.strictEqual(made, 5);
+        assert.strictEqual(dates.filter(date => date.startsWith('2026-03')).length, 7);
+        assert.strictEqual(lines.length, dates.length);
+        assert.strictEqual(execSync('git status --porcelain', { cwd: repoPath, encoding: 'utf-8' }), '');
+
+        // git gives up on an absolute path mid-stream; the broken pipe must reject, not crash or hang
+        const tip = getHead(repoPath);
+        const badDays = Array.from({ length: 40 }, () => ({ date: '2026-03-04', countToMake: 10, totalCount: 10, startIndex: 0, charLabel: 'H' }));
+        await assert.rejects(fastImportCommits(repoPath, badDays, { targetFiles: ['/abs'] }), /git fast-import failed: .*Empty path component/);
+        assert.strictEqual(getHead(repoPath), tip);
+        console.log('Failed import rejected with git\'s error, branch untouched');
+
+        console.log('\n=== Test 23: Author identity pre-flight ===');
+        const author = checkIdentity(repoPath, { name: '', email: 'ART@example.com' });
+        console.log(`Configured author accepted: ${author.name} <${author.email}>`);
+        assert.deepStrictEqual(author, { name: 'Art Test', email: 'ART@example.com' });
+        assert.throws(() => checkIdentity(repoPath, { name: 'Art Test', email: 'someone@example.com' }), /commits as art@example.com but config.json says someone@example.com/);
+        console.log('Mismatch refused');
+        await fastImportCommits(repoPath, [{ date: '2026-03-04', countToMake: 1, totalCount: 1, startIndex: 0, charLabel: 'I' }], { author });
+        const lastAuthor = execSync('git log -1 --format="%an <%ae>"', { cwd: repoPath, encoding: 'utf-8' }).trim();
+        console.log(`Last author: ${lastAuthor}`);
+        assert.strictEqual(lastAuthor, 'Art Test <ART@example.com>');
+
+        console.log('\n=== Test 24: Message and content templates ===');
+        const templated = {
+            author,
+            messageTemplate: 'feat({char}): draw row {row} col {col} ({index} of {total})',
+            contentTemplate: '{date} {time} {char}',
+            targetFiles: ['notes/log.md', 'my file.txt'],
+        };
+        await fastImportCommits(repoPath, [{ date: '2026-03-05', countToMake: 2, totalCount: 2, startIndex: 0, charLabel: 'I', row: 3, col: 12 }], templated);
+        makeCommits(repoPath, '2026-03-06', 1, 1, 0, 'I', false, { ...templated, messages: loadCorpus(['chore: tidy {date}']) });
+        const recent = execSync('git log -3 --format="%s" --name-only', { cwd: repoPath, encoding: 'utf-8' }).trim().split('\n').filter(Boolean);
+        const notes = fs.readFileSync(path.join(repoPath, 'notes', 'log.md'), 'utf-8').trim().split('\n');
+        console.log(recent.join(' | '));
+        console.log(`notes/log.md: ${notes.join(' / ')}`);
+        assert.deepStrictEqual(recent, [
+            'chore: tidy 2026-03-06', 'notes/log.md',
+            'feat(I): draw row 3 col 12 (2 of 2)', 'my file.txt',
+            'feat(I): draw row 3 col 12 (1 of 2)', 'notes/log.md',
+        ]);
+        assert.strictEqual(notes.length, 2);
+        assert.match(notes[0], /^2026-03-05 \d{2}:\d{2}:\d{2} I$/);
+        assert.match(notes[1], /^2026-03-06 \d{2}:\d{2}:\d{2} I$/);
+
+        console.log('\n=== Test 25: Rebuild the tracker from git history ===');
+        const reconcileDir = fs.mkdtempSync(path.join(os.tmpdir(), 'graph-art-tracker-'));
+        try {
+            const counts = countCommitsByDate(repoPath);
+            console.log(`Commits per day: ${Object.entries(counts).map(([date, n]) => `${date}=${n}`).join(', ')}`);
+            saveTracker({ completed: { '2026-03-02': { commits: 3, completedAt: 'then' }, '2026-03-03': { commits: 2, completedAt: 'then' }, '2026-02-27': { commits: 4, completedAt: 'then' } } }, reconcileDir);
+            const changes = reconcileTracker(counts, reconcileDir);
+            console.log(`Changed: ${changes.map(c => `${c.date} ${c.before}→${c.after}`).join(', ')}`);
+            console.log(`Unchanged day keeps completedAt: ${loadTracker(reconcileDir).completed['2026-03-03'].completedAt === 'then'}`);
+            assert.deepStrictEqual(counts, { '2026-03-02': 5, '2026-03-03': 2, '2026-03-04': 1, '2026-03-05': 2, '2026-03-06': 1 });
+            assert.deepStrictEqual(changes.map(c => `${c.date} ${c.before}→${c.after}`),
+                ['2026-02-27 4→0', '2026-03-02 3→5', '2026-03-04 0→1', '2026-03-05 0→2', '2026-03-06 0→1']);
+            assert.strictEqual(loadTracker(reconcileDir).completed['2026-03-03'].completedAt, 'then');
+            assert.deepStrictEqual(reconcileTracker(counts, reconcileDir), [], 'second pass changes nothing');
+            console.log('Second pass changes: 0');
+        } finally {
+            fs.rmSync(reconcileDir, { recursive: true, force: true });
+        }
+    } finally {
+        fs.rmSync(repoPath, { recursive: true, force: true });
+    }
+
+    console.log('\n=== Test 26: Seeded, reproducible history ===');
+    const buildSeeded = async (seed) => {
+        const seededPath = fs.mkdtempSync(path.join(os.tmpdir(), 'graph-art-seed-'));
+        try {
+            execSync('git init -q', { cwd: seededPath });
+            const options = { seed, author: { name: 'Art Test', email: 'art@example.com' }, messages: loadCorpus(['fix: {char}', 'docs: {date}', 'chore: {index}']) };
+            initRepo(seededPath, null, { author: options.author, initTimestamp: '2026-03-02T09:00:00+00:00' });
+            await fastImportCommits(seededPath, [{ date: '2026-03-02', countToMake: 4, totalCount: 4, startIndex: 0, charLabel: 'S' }], options);
+            return execSync('git rev-parse HEAD', { cwd: seededPath, encoding: 'utf-8' }).trim();
+        } finally {
+            fs.rmSync(seededPath, { recursive: true, force: true });
+        }
+    };
+    const [first, second, other] = [await buildSeeded('art-2026'), await buildSeeded('art-2026'), await buildSeeded('other')];
+    console.log(`Same seed, same HEAD: ${first === second} (${first.slice(0, 12)})`);
+    console.log(`Other seed, other HEAD: ${first !== other}`);
+    assert.strictEqual(first, second);
+    assert.notStrictEqual(first, other);
+
+    console.log('\n=== Test 27: Undo the last batch ===');
+    const undoRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'graph-art-undo-'));
+    try {
+        const [remote, local, undoDir] = ['remote.git', 'local', 'data'].map(name => path.join(undoRoot, name));
+        execSync(`git init -q --bare "${remote}" && git clone -q "${remote}" "${local}" 2>&1`, { cwd: undoRoot });
+        execSync('git config user.name "Art Test" && git config user.email art@example.com', { cwd: local });
+        initRepo(local);
+        execSync('git push -q origin HEAD 2>&1', { cwd: local });
+
+        const headBefore = getHead(local);
+        await fastImportCommits(local, [{ date: '2026-06-01', countToMake: 3, totalCount: 3, startIndex: 0, charLabel: 'U' }]);
+        markCompleted('2026-06-01', 3, undoDir);
+        execSync('git push -q origin HEAD 2>&1', { cwd: local });
+        recordBatch({ number: 1, startedAt: 'now', headBefore, headAfter: getHead(local), commits: 3, delta: { '2026-06-01': { before: 0, after: 3 } }, pushed: true }, undoDir);
+
+        const batch = loadBatches(undoDir).at(-1);
+        resetToCommit(local, batch.headBefore);
+        undoBatch(batch, undoDir);
+        console.log(`Local back at the pre-batch commit: ${getHead(local) === headBefore}, tracker days: ${Object.keys(loadTracker(undoDir).completed).length}, batches left: ${loadBatches(undoDir).length}`);
+        assert.strictEqual(getHead(local), headBefore);
+        assert.deepStrictEqual(loadTracker(undoDir).completed, {});
+        assert.deepStrictEqual(loadBatches(undoDir), []);
+        assert.strictEqual(forcePush(local, headBefore), false, 'a stale lease is refused');
+        assert.strictEqual(forcePush(local, batch.headAfter), true);
+        assert.strictEqual(execSync('git rev-parse HEAD', { cwd: remote, encoding: 'utf-8' }).trim(), headBefore);
+        console.log('Force-push with a stale lease refused, over the batch accepted: remote at the pre-batch commit');
+    } finally {
+        fs.rmSync(undoRoot, { recursive: true, force: true });
+    }
+
+    console.log('\n=== Test 28: Reset backups and restore ===');
+    const backupRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'graph-art-backups-'));
+    try {
+        const [remote, local, restored, backups] = ['remote.git', 'local', 'restored', 'backups'].map(name => path.join(backupRoot, name));
+        execSync(`git init -q --bare "${remote}" && git clone -q "${remote}" "${local}" 2>&1`, { cwd: backupRoot });
+        execSync('git config user.name "Art Test" && git config user.email art@example.com', { cwd: local });
+        initRepo(local);
+        await fastImportCommits(local, [{ date: '2026-07-01', countToMake: 2, totalCount: 2, startIndex: 0, charLabel: 'B' }]);
+        execSync('git push -q origin HEAD 2>&1', { cwd: local });
+        const artHead = getHead(local);
+
+        const localBundle = backupLocal(local, 'art', backups);
+        const state = backupRemote(remote, 'art', backups);
+        console.log(`Bundles written: ${Boolean(localBundle && state.bundlePath)}, remote at the art: ${state.head === artHead}`);
+        assert.ok(fs.existsSync(localBundle) && fs.existsSync(state.bundlePath));
+        assert.strictEqual(state.head, artHead);
+        assert.strictEqual(findLatestBackup('art', backups), state.bundlePath);
+        assert.strictEqual(findLatestBackup('my-art', backups), null);
+
+        execSync('git commit -q --allow-empty -m "pushed after the backup" && git push -q origin HEAD 2>&1', { cwd: local });
+        const author = { name: 'Art Test', email: 'art@example.com' };
+        assert.throws(() => pushCleanSlate(remote, state, author), /git push failed/);
+        console.log('Clean slate refused after the remote moved on');
+        pushCleanSlate(remote, backupRemote(remote, 'art', backups), author);
+        assert.strictEqual(execSync('git rev-list --count HEAD', { cwd: remote, encoding: 'utf-8' }).trim(), '1');
+        console.log('Clean slate pushed');
+
+        // The local repo moved on since its backup, so a restore has to replace it
+        assert.strictEqual(readBundleHead(localBundle), artHead);
+        assert.notStrictEqual(getHead(local), readBundleHead(localBundle));
+        // The lease is on the refs read before the prompt, so a push made after it is not overwritten
+        const beforePrompt = readRemoteRefs(remote);
+        assert.deepStrictEqual(Object.keys(beforePrompt), [`refs/heads/${state.branch}`]);
+        execSync('git commit -q --allow-empty -m "pushed during the prompt" && git push -q --force origin HEAD 2>&1', { cwd: local });
+        assert.throws(() => pushBundle(state.bundlePath, remote, beforePrompt), /stale info/);
+        console.log('Restore refused after the remote moved on');
+        pushBundle(state.bundlePath, remote, readRemoteRefs(remote));
+        restoreLocal(localBundle, restored, remote);
+        console.log(`Remote restored: ${execSync('git rev-parse HEAD', { cwd: remote, encoding: 'utf-8' }).trim() === artHead}, local restored: ${getHead(restored) === artHead}, days: ${JSON.stringify(countCommitsByDate(restored))}`);
+        assert.strictEqual(execSync('git rev-parse HEAD', { cwd: remote, encoding: 'utf-8' }).trim(), artHead);
+        assert.strictEqual(getHead(restored), artHead);
+        assert.strictEqual(countCommitsByDate(restored)['2026-07-01'], 2);
+    } finally {
+        fs.rmSync(backupRoot, { recursive: true, force: true });
+    }
+
+    console.log('\n=== Test 29: Erase part of the art ===');
+    const eraseRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'graph-art-erase-'));
+    try {
+        const [repo, eraseDir] = ['repo', 'data'].map(name => path.join(eraseRoot, name));
+        fs.mkdirSync(repo);
+        execSync('git init -q && git config user.name "Art Test" && git config user.email art@example.com', { cwd: repo });
+        initRepo(repo);
+        const helo = generatePlan('HELO', 2026, 2, 0);
+        await fastImportCommits(repo, helo.map(e => ({ date: e.date, countToMake: e.commits, totalCount: e.commits, startIndex: 0, charLabel: e.char, row: e.row, col: e.col })));
+        const oDays = new Set(helo.filter(e => e.char === 'O').map(e => e.date));
+        // A streak top-up on a day of the 'O' is not part of the art
+        const [topUpDay] = oDays;
+        await fastImportCommits(repo, [{ date: topUpDay, countToMake: 1, totalCount: 1, startIndex: 0, charLabel: '' }]);
+        // Made after the art, so erasing it has to replay this one
+        await fastImportCommits(repo, [{ date: '2027-01-05', countToMake: 1, totalCount: 1, startIndex: 0, charLabel: 'later' }]);
+        claimTracker('helo', { text: 'HELO', year: 2026 }, eraseDir);
+        reconcileTracker(countCommitsByDate(repo), eraseDir);
+
+        const messageTemplate = "art: pixel for '{char}' [{index}/{total}]";
+        const byPlan = createSelector({ chars: ['O'] }, { range: 2026, plan: helo, messageTemplate });
+        const byMessage = createSelector({ chars: ['O'] }, { range: 2026, plan: null, messageTemplate });
+        const commits = listCommits(repo);
+        const doomed = commits.filter(c => c.parents.length > 0 && byPlan(c));
+        console.log(`'O' by plan and by message agree: ${doomed.length === commits.filter(c => c.parents.length > 0 && byMessage(c)).length}, days: ${new Set(doomed.map(c => c.date)).size === oDays.size}, top-up kept: ${!doomed.some(c => !c.subject.includes("'O'"))}`);
+        assert.deepStrictEqual(doomed, commits.filter(c => c.parents.length > 0 && byMessage(c)));
+        assert.deepStrictEqual(new Set(doomed.map(c => c.date)), oDays);
+        assert.ok(doomed.every(c => c.subject.includes("'O'")), 'the top-up is not erased');
+        assert.ok(Object.values(countErasedByDay(commits, doomed, helo)).every(day => day.unplanned === 0));
+        // A message corpus does not record the character, so its whole days go and the top-up is counted
+        const byDay = createSelector({ chars: ['O'] }, { range: 2026, plan: helo, messageTemplate: '' });
+        const wholeDays = countErasedByDay(commits, commits.filter(c => c.parents.length > 0 && byDay(c)), helo);
+        console.log(`Whole days: ${Object.keys(wholeDays).length} days, not drawn by the art: ${Object.values(wholeDays).reduce((sum, day) => sum + day.unplanned, 0)}`);
+        assert.deepStrictEqual(new Set(Object.keys(wholeDays)), oDays);
+        const topUpPixels = doomed.filter(c => c.date === topUpDay).length;
+        assert.deepStrictEqual(wholeDays[topUpDay], { erased: topUpPixels + 1, total: topUpPixels + 1, unplanned: 1 });
+        const byColumn = createSelector({ cols: ['0-1'], dates: ['2026-12-30..2026-12-31'] }, { range: 2026 });
+        console.log(`Columns 0-1 + two dates: ${['2026-01-01', '2026-01-10', '2026-12-31'].map(date => byColumn({ date, subject: '' })).join(', ')} / 2026-01-11: ${byColumn({ date: '2026-01-11', subject: '' })}`);
+        assert.deepStrictEqual(['2026-01-01', '2026-01-10', '2026-12-31', '2026-01-11'].map(date => byColumn({ date, subject: '' })), [true, true, true, false]);
+
+        const before = countCommitsByDate(repo);
+        const { replayed } = await rewriteHistory(repo, new Set(doomed.map(c => c.hash)));
+        const after = countCommitsByDate(repo);
+        console.log(`Rewritten (${replayed} later commits replayed): 'O' pixels gone: ${[...oDays].every(d => after[d] === (d === topUpDay ? 1 : undefined))}, other days kept: ${Object.keys(before).filter(d => !oDays.has(d)).every(d => after[d] === before[d])}`);
+        console.log(`.contribution lines = commits: ${fs.readFileSync(path.join(repo, '.contribution'), 'utf-8').split('\n').filter(l => l.includes('|')).length === Object.values(after).reduce((a, b) => a + b, 0)}, clean tree: ${execSync('git status --porcelain', { cwd: repo, encoding: 'utf-8' }) === ''}`);
+        assert.strictEqual(replayed, 2);
+        assert.ok([...oDays].every(d => after[d] === (d === topUpDay ? 1 : undefined)), "'O' pixels gone, top-up kept");
+        assert.ok(Object.keys(before).filter(d => !oDays.has(d)).every(d => after[d] === before[d]), 'other days kept');
+        assert.strictEqual(fs.readFileSync(path.join(repo, '.contribution'), 'utf-8').split('\n').filter(l => l.includes('|')).length, Object.values(after).reduce((a, b) => a + b, 0));
+        assert.strictEqual(execSync('git status --porcelain', { cwd: repo, encoding: 'utf-8' }), '');
+
+        reconcileTracker(after, eraseDir);
+        releaseTracker(eraseDir);
+        claimTracker('hello', { text: 'HELLO', year: 2026 }, eraseDir);
+        const hello = generatePlan('HELLO', 2026, 2, 0);
+        console.log(`HELLO claims the tracker: ${loadTracker(eraseDir).fingerprint === 'hello'}, days still over the new art: ${findChangedDays(hello, after, 2026).length}, left to draw: ${getPending(hello, eraseDir).length}`);
+        assert.strictEqual(loadTracker(eraseDir).fingerprint, 'hello');
+        assert.deepStrictEqual(findChangedDays(hello, after, 2026), []);
+        assert.ok(getPending(hello, eraseDir).length > 0);
+    } finally {
+        fs.rmSync(eraseRoot, { recursive: true, force: true });
+    }
+
+    console.log('\n=== All tests passed! ===');
+})();
@@ -0,0 +1,155 @@
+/**
+ * Timezone Module
+ * Turns the wall-clock times of generated commits into explicit, timezone-correct timestamps
+ * so every commit lands on its planned day in the configured (GitHub profile) timezone
+ */
+
+// Commit hours [start, end): away from midnight, so a slightly wrong offset cannot move a day
+const DEFAULT_HOUR_WINDOW = [9, 17];
+
+/**
+ * The machine's IANA timezone (e.g. 'Europe/Berlin')
+ */
+function getLocalTimezone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+/**
+ * Check that a timezone name is known to the runtime
+ * @param {string} timezone - IANA name, e.g. 'America/New_York' or 'UTC'
+ */
+function isValidTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Validate an hour window
+ * @param {number[]} hourWindow - [start, end) in whole hours, 0–24
+ * @throws {Error} When the window is empty or out of range
+ */
+function validateHourWindow(hourWindow) {
+    const [start, end] = hourWindow || [];
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end > 24 || start >= end) {
+        throw new Error('hourWindow must be [start, end] whole hours with 0 <= start < end <= 24');
+    }
+}
+
+// Formatters are slow to build and every commit needs one
+const offsetFormatters = new Map();
+
+/**
+ * UTC offset of a timezone at an instant, in minutes (e.g. 120 for UTC+2)
+ */
+function offsetAt(epochMs, timezone) {
+    if (!offsetFormatters.has(timezone)) {
+        offsetFormatters.set(timezone, new Intl.DateTimeFormat('en-US', { timeZone: timezone, timeZoneName: 'longOffset' }));
+    }
+    const name = offsetFormatters.get(timezone)
+        .formatToParts(new Date(epochMs))
+        .find(part => part.type === 'timeZoneName').value;
+    const match = name.match(/GMT([+-])(\d{2}):(\d{2})/);
+    if (!match) return 0;
+    return (match[1] === '-' ? -1 : 1) * (Number(match[2]) * 60 + Number(match[3]));
+}
+
+/**
+ * Resolve a wall-clock time in a timezone to an instant and its UTC offset
+ * @param {string} dateTime - Wall-clock time, YYYY-MM-DDTHH:MM:SS
+ * @param {string} timezone - IANA timezone name
+ * @returns {{ epochMs: number, offset: number }} offset in minutes
+ */
+function resolveTime(dateTime, timezone) {
+    const [date, time] = dateTime.split('T');
+    const [y, m, d] = date.split('-').map(Number);
+    const [h, mi, s] = time.split(':').map(Number);
+    const wall = Date.UTC(y, m - 1, d, h, mi, s);
+
+    // The offset depends on the instant, which depends on the offset: settle it in two steps (DST)
+    let offset = offsetAt(wall, timezone);
+    offset = offsetAt(wall - offset * 60000, timezone);
+    return { epochMs: wall - offset * 60000, offset };
+}
+
+/**
+ * Format an offset in minutes as +HH:MM (or +HHMM with an empty separator)
+ */
+function formatOffset(offset, separator = ':') {
+    const sign = offset < 0 ? '-' : '+';
+    const hours = String(Math.floor(Math.abs(offset) / 60)).padStart(2, '0');
+    const minutes = String(Math.abs(offset) % 60).padStart(2, '0');
+    return `${sign}${hours}${separator}${minutes}`;
+}
+
+/**
+ * ISO 8601 timestamp with an explicit offset, for GIT_AUTHOR_DATE / GIT_COMMITTER_DATE
+ * @param {string} dateTime - Wall-clock time, YYYY-MM-DDTHH:MM:SS
+ * @param {string} timezone - IANA timezone name (default: the machine's)
+ */
+function toIsoDate(dateTime, timezone = getLocalTimezone()) {
+    return `${dateTime}${formatOffset(resolveTime(dateTime, timezone).offset)}`;
+}
+
+/**
+ * git's raw date format ("<epoch> <+HHMM>"), for git fast-import
+ * @param {string} dateTime - Wall-clock time, YYYY-MM-DDTHH:MM:SS
+ * @param {string} timezone - IANA timezone name (default: the machine's)
+ */
+function toRawGitDate(dateTime, timezone = getLocalTimezone()) {
+    const { epochMs, offset } = resolveTime(dateTime, timezone);
+    return `${Math.floor(epochMs / 1000)} ${formatOffset(offset, '')}`;
+}
+
+/**
+ * The date a wall-clock time actually lands on in its timezone
+ * Differs from the written date only for times skipped by a DST change at midnight.
+ * @param {string} dateTime - Wall-clock time, YYYY-MM-DDTHH:MM:SS
+ * @param {string} timezone - IANA timezone name
+ */
+function localDate(dateTime, timezone) {
+    const { epochMs } = resolveTime(dateTime, timezone);
+    return new Date(epochMs + offsetAt(epochMs, timezone) * 60000).toISOString().slice(0, 10);
+}
+
+/**
+ * Find the plan days whose commit hours fall on another day in UTC
+ * Those pixels move to a neighbouring day if GitHub shows the graph in UTC
+ * instead of the configured timezone.
+ * @param {string[]} dates - Planned dates (YYYY-MM-DD)
+ * @param {string} timezone - IANA timezone name
+ * @param {number[]} hourWindow - [start, end) commit hours
+ * @returns {Array<{date: string, utcDate: string}>} One entry per day at risk
+ */
+function findRollovers(dates, timezone, hourWindow = DEFAULT_HOUR_WINDOW) {
+    const [start, end] = hourWindow;
+    const first = `${String(start).padStart(2, '0')}:00:00`;
+    const last = end === 24 ? '23:59:59' : `${String(end - 1).padStart(2, '0')}:59:59`;
+
+    const rollovers = [];
+    for (const date of dates) {
+        for (const time of [first, last]) {
+            const utcDate = new Date(resolveTime(`${date}T${time}`, timezone).epochMs).toISOString().slice(0, 10);
+            if (utcDate !== date) {
+                rollovers.push({ date, utcDate });
+                break;
+            }
+        }
+    }
+
+    return rollovers;
+}
+
+module.exports = {
+    DEFAULT_HOUR_WINDOW,
+    getLocalTimezone,
+    isValidTimezone,
+    validateHourWindow,
+    toIsoDate,
+    toRawGitDate,
+    localDate,
+    findRollovers,
+};
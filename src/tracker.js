@@ -1,6 +1,10 @@
 /**
  * Tracker Module
  * Tracks which commits have been made to enable catch-up and resumption
+ *
+ * commits.json is a snapshot, only ever replaced whole (write, then rename). Progress between
+ * snapshots is appended to journal.log, one JSON line per update, so a crash loses at most the
+ * line being written. Loading replays the journal over the snapshot.
  */
 
 const fs = require('fs');
@@ -8,6 +12,12 @@ const path = require('path');
 
 const DEFAULT_DATA_DIR = path.join(__dirname, '..', 'data');
 const TRACKER_FILE = 'commits.json';
+const JOURNAL_FILE = 'journal.log';
+const BATCHES_FILE = 'batches.json';
+// Batches kept for --undo-batch
+const MAX_BATCHES = 50;
+// Fold the journal into a new snapshot once it grows past this
+const COMPACT_BYTES = 64 * 1024;
 
 /**
  * Load the tracker data
@@ -17,15 +27,55 @@ const TRACKER_FILE = 'commits.json';
 function loadTracker(dataDir = DEFAULT_DATA_DIR) {
     const filePath = path.join(dataDir, TRACKER_FILE);
 
-    if (!fs.existsSync(filePath)) {
-        return { completed: {}, lastRun: null, text: null, year: null };
+    let data = { completed: {}, lastRun: null, text: null, year: null };
+    if (fs.existsSync(filePath)) {
+        try {
+            data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+        } catch {
+            // Keep the empty tracker; the next reconcile rebuilds it from the art repo
+        }
+    }
+
+    for (const { date, commits, at } of readJournal(dataDir)) {
+        data.completed[date] = { commits, completedAt: at };
+        data.lastRun = at;
     }
+    return data;
+}
 
+/**
+ * Read the journal's updates, skipping a line torn by a crash
+ * @returns {Array<{date: string, commits: number, at: string}>}
+ */
+function readJournal(dataDir) {
+    const journalPath = path.join(dataDir, JOURNAL_FILE);
+    if (!fs.existsSync(journalPath)) return [];
+
+    const updates = [];
+    for (const line of fs.readFileSync(journalPath, 'utf-8').split('\n')) {
+        try {
+            const update = JSON.parse(line);
+            if (update && typeof update.date === 'string' && Number.isInteger(update.commits)) updates.push(update);
+        } catch {
+            // Empty or partially written line
+        }
+    }
+    return updates;
+}
+
+/**
+ * Write a file so that readers see either the old or the new content, never a partial one
+ */
+function writeFileAtomic(filePath, content) {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    const fd = fs.openSync(tempPath, 'w');
     try {
-        return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
-    } catch {
-        return { completed: {}, lastRun: null, text: null, year: null };
+        fs.writeSync(fd, content);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
     }
+    fs.renameSync(tempPath, filePath);
 }
 
 /**
@@ -38,39 +88,184 @@ function saveTracker(data, dataDir = DEFAULT_DATA_DIR) {
         fs.mkdirSync(dataDir, { recursive: true });
     }
 
-    const filePath = path.join(dataDir, TRACKER_FILE);
-    fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+    writeFileAtomic(path.join(dataDir, TRACKER_FILE), JSON.stringify(data, null, 2));
+    // The snapshot now holds everything in the journal (replaying it again would be harmless)
+    fs.rmSync(path.join(dataDir, JOURNAL_FILE), { force: true });
 }
 
 /**
  * Mark a date as completed
+ * Appends to the journal, so it is cheap enough to call after every commit.
  * @param {string} date - Date string (YYYY-MM-DD)
  * @param {number} commits - Number of commits made
  * @param {string} dataDir - Directory to store tracker data
  */
 function markCompleted(date, commits, dataDir = DEFAULT_DATA_DIR) {
+    if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir, { recursive: true });
+    }
+
+    const journalPath = path.join(dataDir, JOURNAL_FILE);
+    const fd = fs.openSync(journalPath, 'a');
+    try {
+        fs.writeSync(fd, `${JSON.stringify({ date, commits, at: new Date().toISOString() })}\n`);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+
+    if (fs.statSync(journalPath).size > COMPACT_BYTES) {
+        saveTracker(loadTracker(dataDir), dataDir);
+    }
+}
+
+/**
+ * Tie a tracker to the plan it records, or refuse a tracker that records another plan
+ * A tracker with no fingerprint yet (new, or from an older version) is claimed as it is.
+ * @param {string} fingerprint - Fingerprint of the plan (see getPlanFingerprint)
+ * @param {{text: string, year: string}} details - What the plan draws, for messages
+ * @param {string} dataDir - Directory to store tracker data
+ * @throws {Error} When the tracker has progress for a plan with another fingerprint
+ */
+function claimTracker(fingerprint, details, dataDir = DEFAULT_DATA_DIR) {
     const data = loadTracker(dataDir);
-    data.completed[date] = { commits, completedAt: new Date().toISOString() };
-    data.lastRun = new Date().toISOString();
-    saveTracker(data, dataDir);
+    if (data.fingerprint && data.fingerprint !== fingerprint && Object.keys(data.completed).length > 0) {
+        throw new Error(
+            `${path.join(dataDir, TRACKER_FILE)} records "${data.text}" (${data.year}), not "${details.text}" (${details.year}). ` +
+            'Its commits are still in the art repo: run npm run erase -- --changed to redraw only the days that differ, ' +
+            'npm run reset to start over, or add the new art as a project with its own repo'
+        );
+    }
+    if (data.fingerprint === fingerprint && data.text === details.text && data.year === details.year) return;
+
+    saveTracker({ ...data, fingerprint, text: details.text, year: details.year }, dataDir);
 }
 
 /**
- * Get pending entries (planned but not completed)
+ * Untie a tracker from its plan, so the next run claims it for the art in config.json
+ * Used after part of the art was erased to be drawn differently (see claimTracker).
+ * @param {string} dataDir - Directory to store tracker data
+ */
+function releaseTracker(dataDir = DEFAULT_DATA_DIR) {
+    const data = loadTracker(dataDir);
+    if (!data.fingerprint) return;
+    saveTracker({ ...data, fingerprint: null }, dataDir);
+}
+
+/**
+ * Classify every plan entry against the tracker
+ * 'done' = all commits made, 'due' = commits still to make, 'scheduled' = not due before `until`
  * @param {Array} plan - The full plan
  * @param {string} dataDir - Directory to store tracker data
- * @returns {Array} Pending plan entries
+ * @param {string|null} until - Last date that may be committed (YYYY-MM-DD), null for no limit
+ * @returns {Array} Plan entries with status, pendingCommits and doneCommits
  */
-function getPending(plan, dataDir = DEFAULT_DATA_DIR) {
+function getEntryStatuses(plan, dataDir = DEFAULT_DATA_DIR, until = null) {
     const data = loadTracker(dataDir);
     return plan.map(entry => {
         const done = data.completed[entry.date] ? data.completed[entry.date].commits : 0;
+        const pendingCommits = Math.max(0, entry.commits - done);
+        let status = 'due';
+        if (pendingCommits === 0) status = 'done';
+        else if (until && entry.date > until) status = 'scheduled';
+
         return {
             ...entry,
-            pendingCommits: Math.max(0, entry.commits - done),
+            status,
+            pendingCommits,
             doneCommits: done
         };
-    }).filter(entry => entry.pendingCommits > 0);
+    });
+}
+
+/**
+ * Get pending entries (planned but not completed)
+ * @param {Array} plan - The full plan
+ * @param {string} dataDir - Directory to store tracker data
+ * @param {string|null} until - Leave out dates after this one (live drawing), null for no limit
+ * @returns {Array} Pending plan entries
+ */
+function getPending(plan, dataDir = DEFAULT_DATA_DIR, until = null) {
+    return getEntryStatuses(plan, dataDir, until).filter(entry => entry.status === 'due');
+}
+
+/**
+ * Rewrite the tracker from the commits the art repo actually has
+ * Days whose count did not change keep their completedAt.
+ * @param {Object} counts - Commits per date in the repo { 'YYYY-MM-DD': count }
+ * @param {string} dataDir - Directory to store tracker data
+ * @returns {Array<{date: string, before: number, after: number}>} The days that changed
+ */
+function reconcileTracker(counts, dataDir = DEFAULT_DATA_DIR) {
+    const data = loadTracker(dataDir);
+    const dates = [...new Set([...Object.keys(data.completed), ...Object.keys(counts)])].sort();
+    const now = new Date().toISOString();
+
+    const changes = [];
+    const completed = {};
+    for (const date of dates) {
+        const before = data.completed[date] ? data.completed[date].commits : 0;
+        const after = counts[date] || 0;
+        if (before !== after) changes.push({ date, before, after });
+        if (after > 0) {
+            completed[date] = before === after ? data.completed[date] : { commits: after, completedAt: now };
+        }
+    }
+
+    if (changes.length > 0) {
+        data.completed = completed;
+        saveTracker(data, dataDir);
+    }
+    return changes;
+}
+
+/**
+ * Load the log of recent batches, oldest first
+ * @param {string} dataDir - Directory to store tracker data
+ * @returns {Array<{number: number, startedAt: string, headBefore: string, headAfter: string,
+ *   delta: Object, commits: number, pushed: boolean}>}
+ *   delta = { 'YYYY-MM-DD': { before, after } } tracker counts of the days the batch committed
+ */
+function loadBatches(dataDir = DEFAULT_DATA_DIR) {
+    const filePath = path.join(dataDir, BATCHES_FILE);
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Append a finished batch to the log
+ * @param {Object} batch - See loadBatches
+ * @param {string} dataDir - Directory to store tracker data
+ */
+function recordBatch(batch, dataDir = DEFAULT_DATA_DIR) {
+    if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir, { recursive: true });
+    }
+    const batches = [...loadBatches(dataDir), batch].slice(-MAX_BATCHES);
+    writeFileAtomic(path.join(dataDir, BATCHES_FILE), JSON.stringify(batches, null, 2));
+}
+
+/**
+ * Roll the tracker back over a batch and drop it from the log
+ * @param {Object} batch - The last batch (see loadBatches)
+ * @param {string} dataDir - Directory to store tracker data
+ */
+function undoBatch(batch, dataDir = DEFAULT_DATA_DIR) {
+    const data = loadTracker(dataDir);
+    for (const [date, { before }] of Object.entries(batch.delta)) {
+        if (before > 0) {
+            data.completed[date] = { commits: before, completedAt: new Date().toISOString() };
+        } else {
+            delete data.completed[date];
+        }
+    }
+    saveTracker(data, dataDir);
+
+    const batches = loadBatches(dataDir).filter(b => b.headAfter !== batch.headAfter);
+    writeFileAtomic(path.join(dataDir, BATCHES_FILE), JSON.stringify(batches, null, 2));
 }
 
 /**
@@ -78,10 +273,25 @@ function getPending(plan, dataDir = DEFAULT_DATA_DIR) {
  * @param {string} dataDir - Directory to store tracker data
  */
 function resetTracker(dataDir = DEFAULT_DATA_DIR) {
-    const filePath = path.join(dataDir, TRACKER_FILE);
-    if (fs.existsSync(filePath)) {
-        fs.unlinkSync(filePath);
+    for (const file of [TRACKER_FILE, JOURNAL_FILE, BATCHES_FILE]) {
+        const filePath = path.join(dataDir, file);
+        if (fs.existsSync(filePath)) {
+            fs.unlinkSync(filePath);
+        }
     }
 }
 
-module.exports = { loadTracker, saveTracker, markCompleted, getPending, resetTracker };
+module.exports = {
+    loadTracker,
+    saveTracker,
+    markCompleted,
+    claimTracker,
+    releaseTracker,
+    getEntryStatuses,
+    getPending,
+    reconcileTracker,
+    loadBatches,
+    recordBatch,
+    undoBatch,
+    resetTracker,
+};
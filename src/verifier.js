@@ -0,0 +1,89 @@
+/**
+ * Verifier Module
+ * Compares the contribution graph GitHub shows with the plan, and plans top-ups for the days
+ * that came up short
+ */
+
+/**
+ * Compare the scraped graph with what the plan should have produced
+ *
+ * A plan day is expected to show its planned commits on top of the contributions it had when
+ * the art was planned (config.scrapedExisting) and any extra commits we made there since
+ * (e.g. the streak keeper). Days that do not match are:
+ *   - misaligned: they show what was planned for a neighbouring day, so the commits landed a day
+ *     off (usually a timezone mismatch); top-ups would not help
+ *   - missing: fewer contributions than expected
+ *   - overfilled: more contributions than expected (commits were duplicated, or you were busy)
+ *
+ * @param {Array} plan - Plan entries
+ * @param {Object} actual - Contributions the profile shows now { 'YYYY-MM-DD': count }
+ * @param {Object} options
+ * @param {Object} options.baseline - Contributions when the art was planned { 'YYYY-MM-DD': count }
+ * @param {Object} options.extra - Other commits we made per day { 'YYYY-MM-DD': count }
+ * @param {string|null} options.until - Last date to check (YYYY-MM-DD); later days cannot show yet
+ * @returns {{ checked: number, matched: number, missing: Array, overfilled: Array, misaligned: Array }}
+ *   Problem days are { date, char, row, col, expected, actual }; misaligned ones add `plannedFor`
+ */
+function verifyPlan(plan, actual, { baseline = {}, extra = {}, until = null } = {}) {
+    const days = plan.filter(entry => !until || entry.date <= until);
+    const expected = {};
+    for (const entry of days) {
+        expected[entry.date] = (baseline[entry.date] || 0) + entry.commits + (extra[entry.date] || 0);
+    }
+
+    const report = { checked: days.length, matched: 0, missing: [], overfilled: [], misaligned: [] };
+    for (const entry of days) {
+        const shown = actual[entry.date] || 0;
+        const want = expected[entry.date];
+        if (shown === want) {
+            report.matched++;
+            continue;
+        }
+
+        const day = { date: entry.date, char: entry.char, row: entry.row, col: entry.col, expected: want, actual: shown };
+        const plannedFor = [shiftDate(entry.date, -1), shiftDate(entry.date, 1)]
+            .find(neighbour => expected[neighbour] !== undefined && expected[neighbour] === shown);
+        if (plannedFor) {
+            report.misaligned.push({ ...day, plannedFor });
+        } else if (shown < want) {
+            report.missing.push(day);
+        } else {
+            report.overfilled.push(day);
+        }
+    }
+
+    return report;
+}
+
+/**
+ * Plan the top-ups for the missing days of a verification report
+ * Entries count every commit we made that day, like the art plan, so running them through
+ * the same tracker makes only the shortfall.
+ * @param {Object} report - Result of verifyPlan
+ * @param {Object} completed - The tracker's completed map { 'YYYY-MM-DD': { commits } }
+ * @returns {Array} Plan entries
+ */
+function planCorrections(report, completed = {}) {
+    return report.missing.map(day => {
+        const done = completed[day.date] ? completed[day.date].commits : 0;
+        return {
+            date: day.date,
+            commits: done + day.expected - day.actual,
+            level: null,
+            char: day.char,
+            row: day.row,
+            col: day.col,
+        };
+    });
+}
+
+/**
+ * Move a date string by a number of days
+ */
+function shiftDate(date, days) {
+    const d = new Date(`${date}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().slice(0, 10);
+}
+
+module.exports = { verifyPlan, planCorrections };